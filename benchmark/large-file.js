@@ -0,0 +1,134 @@
+/**
+ * Large-file benchmark - Converts a generated torque-wrench export with many
+ * test points once without and once with compiled XPaths / element cache, then
+ * asynchronously with progress reporting: time-sliced on the main thread and in
+ * the Web Worker (`worker: true`). For each variant it also records the longest
+ * stretch the main thread was blocked (a 10 ms heartbeat that could not run).
+ *
+ * Open benchmark/index.html via the local HTTP server (see README).
+ */
+
+import { convertXmlToDccDocuments, convertXmlToDccDocumentsAsync } from '../js/mapping-engine.js';
+
+/**
+ * Synthetic export: one certificate, clockwise/counter-clockwise series with
+ * `points` test points in total, each with five readings.
+ * @param {number} points
+ * @returns {string}
+ */
+export function generateTorqueWrenchXml(points) {
+    const series = ['cw', 'ccw'];
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<TorqueExport xmlns="urn:example:torque-bench">',
+        '<Header><CertificateNo>TW-2024-0815</CertificateNo><Date>2024-08-09</Date>',
+        '<Customer><Name>Example Works</Name><City>Berlin</City></Customer></Header>',
+        '<Instrument><Type>Click-type torque wrench</Type><Serial>TW-445566</Serial></Instrument>',
+        '<Calibrations>',
+    ];
+    const perSeries = Math.ceil(points / series.length);
+    for (const direction of series) {
+        parts.push(`<Calibration direction="${direction}"><Points>`);
+        for (let i = 0; i < perSeries; i++) {
+            const nominal = 20 + (i % 10) * 20;
+            const readings = Array.from({ length: 5 }, (_, r) => (nominal * (1 + ((i + r) % 7 - 3) / 1000)).toFixed(3));
+            parts.push(
+                `<Point index="${i + 1}" isConform="${i % 97 === 0 ? 'false' : 'true'}">`
+                + `<Nominal unit="N·m">${nominal}</Nominal>`
+                + readings.map(value => `<Reading>${value}</Reading>`).join('')
+                + `<Mean>${readings[2]}</Mean><Uncertainty k="2">0.04</Uncertainty>`
+                + '</Point>'
+            );
+        }
+        parts.push('</Points></Calibration>');
+    }
+    parts.push('</Calibrations></TorqueExport>');
+    return parts.join('\n');
+}
+
+export const BENCHMARK_PROFILE = {
+    name: 'Torque bench (benchmark)',
+    mappings: [
+        { target: 'coreData.uniqueIdentifier', source: 'Header/CertificateNo', type: 'string' },
+        { target: 'coreData.endPerformanceDate', source: 'Header/Date', type: 'date' },
+        { target: 'customer.name', source: 'Header/Customer/Name', type: 'string' },
+        { target: 'customer.city', source: 'Header/Customer/City', type: 'string' },
+        {
+            target: 'items[]', source: 'Instrument', type: 'array', fields: [
+                { target: 'name', source: 'Type', type: 'string' },
+                { target: 'serialNumber', source: 'Serial', type: 'string' },
+            ],
+        },
+        {
+            target: 'measurementResults[]', source: 'Calibrations/Calibration', type: 'array', fields: [
+                { target: 'name', source: '@direction', type: 'lookup', map: { cw: 'Clockwise', ccw: 'Counter-clockwise' } },
+                {
+                    target: 'results[]', source: 'Points/Point', type: 'array', fields: [
+                        { target: 'index', source: '@index', type: 'integer' },
+                        { target: 'setPoint', source: 'Nominal', type: 'number' },
+                        { target: 'setPointUnit', source: 'Nominal/@unit', type: 'unit' },
+                        { target: 'measuredValue', source: 'Mean', type: 'number' },
+                        { target: 'maxReading', source: 'Reading', type: 'max' },
+                        { target: 'uncertainty', source: 'Uncertainty', type: 'number' },
+                        { target: 'coverageFactor', source: 'Uncertainty/@k', type: 'number' },
+                        { target: 'deviation', type: 'expression', expression: 'measuredValue - setPoint' },
+                        { target: 'conformity', source: '.', type: 'conformity' },
+                        {
+                            target: 'remark', source: 'Mean', type: 'string',
+                            when: { source: '@isConform', equals: 'false' }, transform: [{ regex: '^\\d+' }],
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+/**
+ * Run the benchmark.
+ * @param {number} points - Number of test points in the generated file
+ * @param {function(string): void} log
+ * @returns {Promise<object[]>} One row per variant: { variant, ms, results, longestPause, speedup }
+ */
+export async function runLargeFileBenchmark(points, log = () => {}) {
+    log(`Generating export with ${points} test points ...`);
+    const xml = generateTorqueWrenchXml(points);
+    log(`Source size: ${(xml.length / 1e6).toFixed(1)} MB`);
+
+    const rows = [];
+    const measure = async (variant, convert) => {
+        let longestPause = 0;
+        let beat = performance.now();
+        const heartbeat = setInterval(() => {
+            longestPause = Math.max(longestPause, performance.now() - beat);
+            beat = performance.now();
+        }, 10);
+        const start = performance.now();
+        const documents = await convert();
+        const ms = performance.now() - start;
+        longestPause = Math.max(longestPause, performance.now() - beat);
+        clearInterval(heartbeat);
+
+        const resultCount = documents[0].data.measurementResults
+            .reduce((sum, r) => sum + r.results.length, 0);
+        rows.push({ variant, ms: Math.round(ms), results: resultCount, longestPause: Math.round(longestPause) });
+        log(`${variant}: ${Math.round(ms)} ms (${resultCount} results), main thread blocked for up to ${Math.round(longestPause)} ms`);
+    };
+
+    await measure('uncached (XPath compiled per query)', () =>
+        convertXmlToDccDocuments(xml, BENCHMARK_PROFILE, { cache: false }));
+    await measure('compiled XPaths + element cache', () =>
+        convertXmlToDccDocuments(xml, BENCHMARK_PROFILE));
+    let updates = 0;
+    await measure('async, time-sliced on the main thread', () =>
+        convertXmlToDccDocumentsAsync(xml, BENCHMARK_PROFILE, { onProgress: () => updates++ }));
+    log(`Progress updates: ${updates}`);
+    updates = 0;
+    await measure('async, in a Web Worker', () =>
+        convertXmlToDccDocumentsAsync(xml, BENCHMARK_PROFILE, { worker: true, onProgress: () => updates++ }));
+    log(`Progress updates: ${updates}`);
+
+    const baseline = rows[0].ms;
+    for (const row of rows) row.speedup = row.ms > 0 ? +(baseline / row.ms).toFixed(2) : null;
+    return rows;
+}
@@ -5,11 +5,14 @@
 
 import { extractTextFromPdf } from './pdf-extractor.js';
 import { extractCalibrationData, validateApiKey } from './claude-api.js';
-import { generateDccXml, validateData } from './dcc-xml-generator.js';
-import { convertXmlToDccJson } from './mapping-engine.js';
+import { generateDccXml, validateData, acceptanceLimits, performanceLocationOf, DCC_VERSIONS, DEFAULT_DCC_VERSION, dccVersionLabel, RESULT_LAYOUTS } from './dcc-xml-generator.js';
+import { convertXmlToDccDocumentsAsync, resolveProfile, compileProfile } from './mapping-engine.js';
 import { getAllProfiles, saveProfile, getProfile, deleteProfile, exportProfile, importProfile, detectProfileForXml } from './mapping-store.js';
 import { trainMappingProfile } from './mapping-trainer.js';
 import { MappingEditor } from './mapping-editor.js';
+import { createZip, uniqueFileNames } from './zip-writer.js';
+import { mergeDccDocuments, SOURCE_ROLES } from './dcc-merge.js';
+import { readXlsxWorkbook } from './xlsx-reader.js';
 
 // ============================================================
 // State
@@ -28,6 +31,9 @@ let xmlContent = '';
 let selectedProfileId = '';
 let xmlConvertedData = null;
 let xmlGeneratedDcc = '';
+let xmlDocuments = []; // one { data, report, xml } per certificate of the source file
+let xmlMainRole = 'admin';
+let xmlExtraSources = []; // further files merged into the certificate: { file, content, role, profileId }
 
 // Train mode state
 let trainXsdFile = null;
@@ -215,9 +221,9 @@ function populatePreview(data) {
     setField('field-country', data.coreData?.countryCodeISO3166_1);
     setField('field-begin-date', data.coreData?.beginPerformanceDate);
     setField('field-end-date', data.coreData?.endPerformanceDate);
-    if (data.coreData?.performanceLocation) {
+    if (data.coreData?.performanceLocation || data.calibrationLocation) {
         const sel = $('#field-perf-location');
-        if (sel) sel.value = data.coreData.performanceLocation;
+        if (sel) sel.value = data.coreData?.performanceLocation || performanceLocationOf(data.calibrationLocation, data.customer);
     }
 
     setField('field-lab-name', data.calibrationLaboratory?.name);
@@ -429,6 +435,8 @@ function populateResults(measurementResults) {
         if (results.length > 0) {
             const hasSetPoint = results.some(r => r.setPoint != null);
             const hasDeviation = results.some(r => r.deviation != null);
+            const limits = results.map(r => acceptanceLimits(r, mr.tolerance));
+            const hasLimits = limits.some(l => l.lower != null || l.upper != null);
             const hasAllowedDev = results.some(r => r.allowedDeviation != null || r.mpe != null);
             const hasConformity = results.some(r => r.conformity);
 
@@ -437,6 +445,7 @@ function populateResults(measurementResults) {
             headers.push('Reference', 'Measured');
             if (hasDeviation) headers.push('Deviation');
             if (hasAllowedDev) headers.push('Allowed Dev. / MPE');
+            if (hasLimits) headers.push('Acceptance Limits');
             headers.push('U (k)');
             if (hasConformity) headers.push('Conformity');
 
@@ -453,6 +462,12 @@ function populateResults(measurementResults) {
                 );
                 if (hasDeviation) fields.push(formatValue(r.deviation, r.deviationUnit));
                 if (hasAllowedDev) fields.push(formatValue(r.allowedDeviation ?? r.mpe, r.allowedDeviationUnit || r.mpeUnit));
+                if (hasLimits) {
+                    const { lower, upper, unit } = limits[i];
+                    fields.push(lower != null || upper != null
+                        ? `${lower ?? '−∞'} … ${upper ?? '+∞'}${unit ? ' ' + unit : ''}`
+                        : '');
+                }
                 fields.push(r.uncertainty != null ? `${r.uncertainty} (k=${r.coverageFactor ?? '?'})` : '');
                 if (hasConformity) fields.push(r.conformity || '');
 
@@ -589,10 +604,20 @@ $('#pdf-btn-generate-xml')?.addEventListener('click', () => {
     $('#pdf-btn-download').disabled = false;
 });
 
+for (const id of ['#pdf-dcc-version', '#pdf-result-layout', '#pdf-equipment-text']) {
+    $(id)?.addEventListener('change', () => {
+        if (generatedXml) updateXmlPreview();
+    });
+}
+
 function updateXmlPreview() {
     if (!extractedData) return;
     syncFormToData();
-    const { xml } = generateDccXml(extractedData);
+    const { xml } = generateDccXml(extractedData, {
+        version: $('#pdf-dcc-version').value,
+        layout: $('#pdf-result-layout').value,
+        equipmentText: $('#pdf-equipment-text').checked,
+    });
     generatedXml = xml;
     const codeEl = $('#xml-preview code');
     if (codeEl) codeEl.textContent = xml;
@@ -662,12 +687,64 @@ function updateXmlProfileInfo() {
     $('#xml-profile-ns').textContent = profile.schemaNamespace || 'N/A';
     $('#xml-profile-count').textContent = profile.mappings?.length || 0;
 
+    const extendsRow = $('#xml-profile-extends-row');
+    if (profile.extends) {
+        const profiles = getAllProfiles();
+        const base = profiles.find(p => p.id === profile.extends) || profiles.find(p => p.name === profile.extends);
+        let text = base ? (base.name || base.id) : `${profile.extends} (not found)`;
+        try {
+            const resolved = resolveProfile(profile, profiles);
+            $('#xml-profile-count').textContent = `${profile.mappings?.length || 0} own, ${resolved.mappings.length} resolved`;
+        } catch (err) {
+            if (base) text += ` (${err.message})`;
+        }
+        $('#xml-profile-extends').textContent = text;
+        extendsRow?.classList.remove('hidden');
+    } else {
+        extendsRow?.classList.add('hidden');
+    }
+    showProfileProblems(profile);
+    $('#xml-result-layout').value = profileResultLayout(profile);
+
     activateStep($('#xml-step-upload'));
     updateXmlConvertButton();
 }
 
 $('#xml-profile-select')?.addEventListener('change', updateXmlProfileInfo);
 
+/**
+ * Result layout the profile asks for (`resultLayout`, possibly inherited);
+ * the layout select starts from it.
+ */
+function profileResultLayout(profile) {
+    try {
+        const layout = resolveProfile(profile, getAllProfiles()).resultLayout;
+        return RESULT_LAYOUTS.includes(layout) ? layout : 'rows';
+    } catch {
+        return profile.resultLayout === 'columns' ? 'columns' : 'rows';
+    }
+}
+
+/**
+ * List the paths of a profile that do not compile, so they can be fixed before
+ * a conversion is attempted. Inheritance errors are shown in the extends row.
+ */
+function showProfileProblems(profile, problems) {
+    const container = $('#xml-profile-problems');
+    if (!problems) {
+        try {
+            problems = compileProfile(profile, { profiles: getAllProfiles() }).problems;
+        } catch {
+            problems = [];
+        }
+    }
+    if (problems.length === 0) {
+        container?.classList.add('hidden');
+        return;
+    }
+    showValidationMessages(container, problems.map(p => `${p.target}: invalid path "${p.source}" (${p.message})`), 'errors');
+}
+
 $('#xml-btn-import-profile')?.addEventListener('click', () => {
     $('#xml-import-profile-input').click();
 });
@@ -695,7 +772,12 @@ $('#xml-btn-export-profile')?.addEventListener('click', () => {
 $('#xml-btn-delete-profile')?.addEventListener('click', () => {
     if (!selectedProfileId) return;
     if (!confirm('Delete this mapping profile?')) return;
-    deleteProfile(selectedProfileId);
+    try {
+        deleteProfile(selectedProfileId);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
     selectedProfileId = '';
     refreshXmlProfileSelect();
 });
@@ -746,16 +828,33 @@ $('#xml-btn-close-editor')?.addEventListener('click', () => {
 // XML CONVERT MODE - File Upload
 // ============================================================
 
+/**
+ * Read a source file as text. Excel workbooks are unpacked into the workbook
+ * XML of the "xlsx" source format.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readSourceFile(file) {
+    if (/\.xlsx$/i.test(file.name)) return readXlsxWorkbook(file);
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
 function handleXmlFile(file) {
     if (!file) return;
     xmlFile = file;
+    // A new main file starts a new certificate: extra sources belonged to the old one
+    resetXmlMergeState();
     $('#xml-file-name').textContent = file.name;
     $('#xml-file-info').classList.remove('hidden');
     $('#xml-drop-zone').style.display = 'none';
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        xmlContent = e.target.result;
+    readSourceFile(file).then((content) => {
+        xmlContent = content;
 
         // Try auto-detection
         const detected = detectProfileForXml(xmlContent);
@@ -769,8 +868,106 @@ function handleXmlFile(file) {
 
         activateStep($('#xml-step-convert'));
         updateXmlConvertButton();
+        renderXmlSources();
+    }).catch((err) => {
+        showStatus('#xml-conversion-status', `Could not read ${file.name}: ${err.message}`, 'error');
+    });
+}
+
+// --- XML Convert: Additional source files (merged into one certificate) ---
+
+function resetXmlMergeState() {
+    xmlExtraSources = [];
+    xmlMainRole = 'admin';
+    renderXmlSources();
+}
+
+$('#xml-btn-add-source')?.addEventListener('click', () => $('#xml-add-source-input').click());
+
+$('#xml-add-source-input')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    readSourceFile(file).then((content) => {
+        const detected = detectProfileForXml(content);
+        xmlExtraSources.push({ file, content, role: 'measurement', profileId: detected?.id || '' });
+        renderXmlSources();
+    }).catch((err) => {
+        showStatus('#xml-conversion-status', `Could not read ${file.name}: ${err.message}`, 'error');
+    });
+});
+
+function renderXmlSources() {
+    $('#xml-btn-add-source')?.classList.toggle('hidden', !xmlContent);
+    const container = $('#xml-sources');
+    const list = $('#xml-sources-list');
+    if (!container || !list) return;
+    list.innerHTML = '';
+    container.classList.toggle('hidden', xmlExtraSources.length === 0);
+    if (xmlExtraSources.length === 0) return;
+
+    const table = createTable(['File', 'Role', 'Profile', '']);
+    const tbody = table.querySelector('tbody');
+    const profiles = getAllProfiles();
+
+    const addRow = (name, role, onRole, profileCell, onRemove) => {
+        const tr = document.createElement('tr');
+        const tdName = document.createElement('td');
+        tdName.textContent = name;
+        tr.appendChild(tdName);
+
+        const tdRole = document.createElement('td');
+        const roleSelect = document.createElement('select');
+        for (const [value, { label }] of Object.entries(SOURCE_ROLES)) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            if (value === role) opt.selected = true;
+            roleSelect.appendChild(opt);
+        }
+        roleSelect.addEventListener('change', () => onRole(roleSelect.value));
+        tdRole.appendChild(roleSelect);
+        tr.appendChild(tdRole);
+
+        const tdProfile = document.createElement('td');
+        tdProfile.appendChild(profileCell);
+        tr.appendChild(tdProfile);
+
+        const tdActions = document.createElement('td');
+        if (onRemove) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-small';
+            btn.innerHTML = '&times;';
+            btn.addEventListener('click', onRemove);
+            tdActions.appendChild(btn);
+        }
+        tr.appendChild(tdActions);
+        tbody.appendChild(tr);
     };
-    reader.readAsText(file);
+
+    const mainProfile = document.createElement('span');
+    mainProfile.className = 'text-muted';
+    mainProfile.textContent = 'selected in step 1';
+    addRow(xmlFile?.name || 'Main file', xmlMainRole, (role) => { xmlMainRole = role; }, mainProfile, null);
+
+    xmlExtraSources.forEach((source, i) => {
+        const select = document.createElement('select');
+        select.innerHTML = '<option value="">-- Select a profile --</option>';
+        for (const p of profiles) {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.textContent = p.name || p.id;
+            if (p.id === source.profileId) opt.selected = true;
+            select.appendChild(opt);
+        }
+        select.addEventListener('change', () => { source.profileId = select.value; });
+        addRow(source.file.name, source.role, (role) => { source.role = role; }, select, () => {
+            xmlExtraSources.splice(i, 1);
+            renderXmlSources();
+        });
+    });
+
+    list.appendChild(table);
 }
 
 $('#xml-drop-zone')?.addEventListener('click', () => $('#xml-file-input').click());
@@ -799,6 +996,9 @@ $('#xml-btn-remove-file')?.addEventListener('click', () => {
     xmlContent = '';
     xmlConvertedData = null;
     xmlGeneratedDcc = '';
+    xmlDocuments = [];
+    populateCertificateList();
+    resetXmlMergeState();
     $('#xml-file-info').classList.add('hidden');
     $('#xml-drop-zone').style.display = '';
     $('#xml-file-input').value = '';
@@ -817,7 +1017,7 @@ function updateXmlConvertButton() {
 // XML CONVERT MODE - Conversion
 // ============================================================
 
-$('#xml-btn-convert')?.addEventListener('click', () => {
+$('#xml-btn-convert')?.addEventListener('click', async () => {
     if (!xmlContent || !selectedProfileId) return;
 
     const profile = getProfile(selectedProfileId);
@@ -826,33 +1026,303 @@ $('#xml-btn-convert')?.addEventListener('click', () => {
         return;
     }
 
-    try {
-        xmlConvertedData = convertXmlToDccJson(xmlContent, profile);
-
-        // Show JSON preview
-        const jsonCode = $('#xml-json-preview code');
-        if (jsonCode) jsonCode.textContent = JSON.stringify(xmlConvertedData, null, 2);
-
-        // Generate DCC XML
-        const { xml } = generateDccXml(xmlConvertedData);
-        xmlGeneratedDcc = xml;
-        const dccCode = $('#xml-dcc-preview code');
-        if (dccCode) dccCode.textContent = xml;
+    $('#xml-btn-convert').disabled = true;
+    $('#xml-convert-progress').classList.remove('hidden');
+    setXmlProgress(0);
 
-        showStatus('#xml-conversion-status', `Conversion successful! ${profile.mappings.length} mapping rules applied.`, 'success');
+    try {
+        xmlDocuments = xmlExtraSources.length > 0
+            ? [await convertMergedSources(profile)]
+            : (await convertXmlToDccDocumentsAsync(xmlContent, profile, { profiles: getAllProfiles(), onProgress: setXmlProgress }))
+                .map(({ data, report }) => ({ data, report, xml: generateXmlConvertDcc(data) }));
+        $('#xml-convert-progress').classList.add('hidden');
+
+        populateCertificateList();
+        showXmlDocument(0);
+
+        const failed = xmlDocuments.reduce((sum, d) => sum + d.report.summary.failed, 0);
+        const silent = xmlDocuments.reduce((sum, d) => sum + d.report.summary.empty + d.report.summary.unmatched, 0);
+        let statusText = `Conversion successful! ${profile.mappings.length} mapping rules applied.`;
+        if (xmlDocuments.length > 1) statusText += ` ${xmlDocuments.length} certificates found.`;
+        if (xmlExtraSources.length > 0) statusText += ` ${xmlExtraSources.length + 1} files merged.`;
+        const conflicts = xmlDocuments[0]?.conflicts?.length || 0;
+        if (conflicts > 0) statusText += ` ${conflicts} merge conflicts.`;
+        if (failed > 0 || silent > 0) {
+            statusText += ` ${failed} failed, ${silent} produced no value — see Conversion Report.`;
+        }
+        showStatus('#xml-conversion-status', statusText, 'success');
         completeStep($('#xml-step-convert'));
         activateStep($('#xml-step-preview'));
         $('#xml-btn-download').disabled = false;
 
     } catch (err) {
-        showStatus('#xml-conversion-status', `Conversion error: ${err.message}`, 'error');
+        $('#xml-convert-progress').classList.add('hidden');
+        if (err.problems && xmlExtraSources.length === 0) {
+            showProfileProblems(profile, err.problems);
+            showStatus('#xml-conversion-status', 'The profile has invalid paths (listed under the profile). Nothing was converted.', 'error');
+        } else {
+            showStatus('#xml-conversion-status', `Conversion error: ${err.message}`, 'error');
+        }
+    } finally {
+        updateXmlConvertButton();
     }
 });
 
+function setXmlProgress(fraction, label = 'Converting') {
+    const pct = Math.round(fraction * 100);
+    $('#xml-progress-fill').style.width = `${pct}%`;
+    $('#xml-progress-text').textContent = `${label}... ${pct}%`;
+}
+
+/**
+ * Convert the main file and all additional source files, each with its own
+ * profile, and merge them into one certificate with a combined report.
+ */
+async function convertMergedSources(mainProfile) {
+    const profiles = getAllProfiles();
+    const sources = [
+        { label: xmlFile?.name || 'Main file', role: xmlMainRole, content: xmlContent, profile: mainProfile },
+        ...xmlExtraSources.map(source => {
+            const profile = getProfile(source.profileId);
+            if (!profile) throw new Error(`Select a mapping profile for "${source.file.name}".`);
+            return { label: source.file.name, role: source.role, content: source.content, profile };
+        }),
+    ];
+
+    const converted = [];
+    for (const [i, source] of sources.entries()) {
+        const onProgress = (fraction) => setXmlProgress((i + fraction) / sources.length, `Converting ${source.label}`);
+        const documents = await convertXmlToDccDocumentsAsync(source.content, source.profile, { profiles, onProgress });
+        if (documents.length > 1) {
+            throw new Error(`"${source.label}" holds ${documents.length} certificates; merging needs one certificate per file.`);
+        }
+        converted.push({ ...source, ...documents[0] });
+    }
+
+    const { data, conflicts } = mergeDccDocuments(converted);
+    return { data, report: combineReports(converted), conflicts, xml: generateXmlConvertDcc(data) };
+}
+
+function generateXmlConvertDcc(data) {
+    return generateDccXml(data, {
+        version: $('#xml-dcc-version').value,
+        layout: $('#xml-result-layout').value,
+        equipmentText: $('#xml-equipment-text').checked,
+    }).xml;
+}
+
+// Switching the version, layout or equipment text regenerates the certificates already converted
+for (const id of ['#xml-dcc-version', '#xml-result-layout', '#xml-equipment-text']) {
+    $(id)?.addEventListener('change', () => {
+        if (xmlDocuments.length === 0) return;
+        const selected = Math.max(0, xmlDocuments.findIndex(doc => doc.data === xmlConvertedData));
+        for (const doc of xmlDocuments) doc.xml = generateXmlConvertDcc(doc.data);
+        showXmlDocument(selected);
+    });
+}
+
+/**
+ * One report over several source files; each entry's source names its file.
+ */
+function combineReports(converted) {
+    const summary = { total: 0, ok: 0, warning: 0, empty: 0, unmatched: 0, skipped: 0, failed: 0 };
+    const entries = [];
+    const unknownUnits = [];
+    for (const { label, report } of converted) {
+        for (const key of Object.keys(summary)) summary[key] += report.summary[key];
+        entries.push(...report.entries.map(entry => ({ ...entry, source: `${label}: ${entry.source || ''}` })));
+        unknownUnits.push(...report.unknownUnits);
+    }
+    return { entries, unknownUnits, summary };
+}
+
+/**
+ * Show one certificate of the last conversion in the JSON, DCC XML and report tabs.
+ */
+function showXmlDocument(index) {
+    const doc = xmlDocuments[index];
+    if (!doc) return;
+    xmlConvertedData = doc.data;
+    xmlGeneratedDcc = doc.xml;
+
+    const jsonCode = $('#xml-json-preview code');
+    if (jsonCode) jsonCode.textContent = JSON.stringify(doc.data, null, 2);
+    const dccCode = $('#xml-dcc-preview code');
+    if (dccCode) dccCode.textContent = doc.xml;
+
+    populateConversionReport(doc.report, doc.conflicts);
+
+    $$('#xml-certificate-list tbody tr').forEach((tr, i) => tr.classList.toggle('selected', i === index));
+}
+
+/**
+ * List the certificates of a split source file (hidden for a single certificate).
+ */
+function populateCertificateList() {
+    const container = $('#xml-certificate-list');
+    if (!container) return;
+    container.innerHTML = '';
+    const multiple = xmlDocuments.length > 1;
+    container.classList.toggle('hidden', !multiple);
+    $('#xml-btn-download-zip')?.classList.toggle('hidden', !multiple);
+    if (!multiple) return;
+
+    const table = createTable(['#', 'Certificate', 'Item', 'Report', 'Actions']);
+    const tbody = table.querySelector('tbody');
+
+    xmlDocuments.forEach((doc, i) => {
+        const tr = document.createElement('tr');
+        const { summary } = doc.report;
+        const problems = summary.failed + summary.empty + summary.unmatched;
+        const cells = [
+            i + 1,
+            doc.data.coreData?.uniqueIdentifier || '(no certificate number)',
+            [doc.data.items?.[0]?.name, doc.data.items?.[0]?.serialNumber].filter(Boolean).join(' / '),
+            summary.failed > 0 ? `${summary.failed} errors` : problems > 0 ? `${problems} without value` : 'OK',
+        ];
+        for (const val of cells) {
+            const td = document.createElement('td');
+            td.textContent = val;
+            tr.appendChild(td);
+        }
+
+        const tdActions = document.createElement('td');
+        const btnShow = document.createElement('button');
+        btnShow.className = 'btn btn-small';
+        btnShow.textContent = 'Show';
+        btnShow.addEventListener('click', () => showXmlDocument(i));
+        tdActions.appendChild(btnShow);
+
+        const btnDownload = document.createElement('button');
+        btnDownload.className = 'btn btn-small';
+        btnDownload.textContent = 'XML';
+        btnDownload.style.marginLeft = '0.25rem';
+        btnDownload.addEventListener('click', () => {
+            downloadFile(doc.xml, 'application/xml', certificateFileName(doc.data, i) + '.xml');
+        });
+        tdActions.appendChild(btnDownload);
+
+        tr.appendChild(tdActions);
+        tbody.appendChild(tr);
+    });
+
+    container.appendChild(table);
+}
+
+function certificateFileName(data, index) {
+    const certId = data?.coreData?.uniqueIdentifier || (index == null ? 'dcc-export' : `dcc-export-${index + 1}`);
+    return certId.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+const REPORT_STATUS_LABELS = {
+    ok: 'OK',
+    warning: 'Warning',
+    empty: 'Empty',
+    unmatched: 'No match',
+    skipped: 'Skipped',
+    error: 'Error',
+};
+
+function populateConversionReport(report, conflicts = []) {
+    const container = $('#xml-report-container');
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (conflicts.length > 0) {
+        const title = document.createElement('h4');
+        title.className = 'result-section-title';
+        title.textContent = `Merge Conflicts (${conflicts.length})`;
+        container.appendChild(title);
+
+        const table = createTable(['Field', 'Kept Value', 'From', 'Discarded Value', 'From']);
+        table.classList.add('report-table');
+        const tbody = table.querySelector('tbody');
+        for (const c of conflicts) {
+            const tr = document.createElement('tr');
+            tr.className = 'report-row-warning';
+            for (const val of [c.path, formatReportValue(c.value), c.source || '', formatReportValue(c.otherValue), c.otherSource]) {
+                const td = document.createElement('td');
+                td.textContent = val;
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        container.appendChild(table);
+    }
+
+    if (!report || report.entries.length === 0) {
+        container.insertAdjacentHTML('beforeend', '<p class="placeholder-text">No mapping rules were evaluated.</p>');
+        return;
+    }
+
+    const { summary } = report;
+    const summaryEl = document.createElement('p');
+    summaryEl.className = 'text-muted text-small';
+    summaryEl.textContent = `${summary.total} rules/fields: ${summary.ok} OK, ${summary.warning} with warnings, `
+        + `${summary.empty} empty, ${summary.unmatched} without source match, ${summary.skipped} skipped by condition, `
+        + `${summary.failed} with errors.`;
+    container.appendChild(summaryEl);
+
+    if (report.unknownUnits?.length > 0) {
+        showValidationMessages(
+            container.appendChild(document.createElement('div')),
+            report.unknownUnits.map(u => `Unknown unit "${u.unit}" in ${u.targets.join(', ')} — add it to the profile's unitAliases.`),
+            'warnings'
+        );
+    }
+
+    const table = createTable(['Status', 'Target', 'Source', 'Type', 'Matched', 'Nodes', 'Raw Value', 'Converted', 'Messages']);
+    table.classList.add('report-table');
+    const tbody = table.querySelector('tbody');
+
+    // Problems first, then in rule order
+    const order = { error: 0, warning: 1, unmatched: 2, empty: 3, skipped: 4, ok: 5 };
+    const entries = [...report.entries].sort((a, b) => order[a.status] - order[b.status]);
+
+    for (const entry of entries) {
+        const tr = document.createElement('tr');
+        tr.className = `report-row-${entry.status}`;
+        const cells = [
+            REPORT_STATUS_LABELS[entry.status] || entry.status,
+            entry.target,
+            entry.source || '',
+            entry.type,
+            `${entry.matched}/${entry.evaluations}`,
+            entry.nodeCount,
+            formatReportValue(entry.raw),
+            formatReportValue(entry.value),
+            [...entry.errors, ...entry.warnings].join('\n'),
+        ];
+        for (const val of cells) {
+            const td = document.createElement('td');
+            td.textContent = val;
+            tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+    }
+    container.appendChild(table);
+}
+
+function formatReportValue(value) {
+    if (value == null) return '';
+    const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return truncate(str, 60);
+}
+
 $('#xml-btn-download')?.addEventListener('click', () => {
     if (!xmlGeneratedDcc) return;
-    const certId = xmlConvertedData?.coreData?.uniqueIdentifier || 'dcc-export';
-    downloadFile(xmlGeneratedDcc, 'application/xml', certId.replace(/[^a-zA-Z0-9_-]/g, '_') + '.xml');
+    downloadFile(xmlGeneratedDcc, 'application/xml', certificateFileName(xmlConvertedData) + '.xml');
+});
+
+$('#xml-btn-download-zip')?.addEventListener('click', () => {
+    if (xmlDocuments.length === 0) return;
+    const stems = uniqueFileNames(xmlDocuments.map((doc, i) => certificateFileName(doc.data, i)));
+    const files = xmlDocuments.flatMap((doc, i) => [
+        { name: `${stems[i]}.xml`, content: doc.xml },
+        { name: `${stems[i]}.json`, content: JSON.stringify(doc.data, null, 2) },
+    ]);
+    const stem = xmlFile?.name ? xmlFile.name.replace(/\.[^.]*$/, '') : 'dcc-export';
+    downloadFile(createZip(files), 'application/zip', stem.replace(/[^a-zA-Z0-9_-]/g, '_') + '-dccs.zip');
 });
 
 // ============================================================
@@ -1090,7 +1560,12 @@ function refreshTrainProfilesList() {
         btnDel.style.marginLeft = '0.25rem';
         btnDel.addEventListener('click', () => {
             if (!confirm(`Delete profile "${p.name}"?`)) return;
-            deleteProfile(p.id);
+            try {
+                deleteProfile(p.id);
+            } catch (err) {
+                alert(err.message);
+                return;
+            }
             refreshTrainProfilesList();
         });
         tdActions.appendChild(btnDel);
@@ -1199,7 +1674,7 @@ function truncate(str, maxLen) {
 }
 
 function downloadFile(content, mimeType, filename) {
-    const blob = new Blob([content], { type: mimeType });
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -1254,5 +1729,15 @@ function countAllRulesRecursive(mappings) {
 // Init
 // ============================================================
 
+for (const select of $$('.dcc-version-select')) {
+    for (const version of DCC_VERSIONS) {
+        select.add(new Option(dccVersionLabel(version), version, false, version === DEFAULT_DCC_VERSION));
+    }
+}
+for (const select of $$('.result-layout-select')) {
+    for (const layout of RESULT_LAYOUTS) {
+        select.add(new Option(layout === 'columns' ? 'Column-wise (value lists)' : 'Row-wise (one list per point)', layout));
+    }
+}
 refreshXmlProfileSelect();
 refreshTrainProfilesList();
@@ -155,6 +155,7 @@ Das JSON muss folgende Struktur haben (fehlende Werte als null):
       ],
       "referenceStandard": "Referenzmaterial/Standard (z.B. 'Aluminium', 'Stahl', Prüfkörper-Beschreibung)",
       "decisionRule": "Entscheidungsregel (z.B. 'Vertrauensniveau 95 mit Konformitätswahrscheinlichkeit > 95%')",
+      "tolerance": "Toleranzspezifikation für alle Messpunkte oder null, z.B. {\"percentOfReading\": 0.1, \"digits\": 2, \"resolution\": 0.01} (± 0,1 % vom Messwert + 2 Digit), {\"absolute\": 0.5}, {\"lower\": -0.5, \"upper\": 1.0}, {\"percentOfFullScale\": 0.25, \"fullScale\": 16}",
       "influenceConditions": [
         {
           "name": "z.B. Umgebungstemperatur / Ambient temperature",
@@ -186,6 +187,10 @@ Das JSON muss folgende Struktur haben (fehlende Werte als null):
           "coverageProbability": 0.95,
           "mpe": null,
           "mpeUnit": null,
+          "acceptanceLimitLower": null,
+          "acceptanceLimitUpper": null,
+          "acceptanceLimitUnit": null,
+          "tolerance": null,
           "conformity": "pass oder fail oder null"
         }
       ]
@@ -202,13 +207,16 @@ Das JSON muss folgende Struktur haben (fehlende Werte als null):
       "calibrationMark": "Kalibrierzeichen des Normals (z.B. D-K-15070-01-01 2021-05)",
       "calibrationDate": "Kalibrierdatum des Normals (YYYY-MM-DD)",
       "nextCalibrationDate": "Nächstes Kalibrierdatum / Due date (YYYY-MM-DD)",
-      "traceability": "Rückführbarkeit (z.B. DAkkS, NIST, UKAS)"
+      "traceability": "Rückführbarkeit (z.B. DAkkS, NIST, UKAS)",
+      "description": "Weitere Angaben zum Normal als Freitext oder null"
     }
   ],
   "calibrationSOPs": [
     {
       "sopNumber": "SOP-Nummer (z.B. QP01005H/88/EN)",
-      "description": "Beschreibung des SOP"
+      "description": "Beschreibung des SOP",
+      "version": "Version des SOP oder null",
+      "norm": "Zugrunde liegende Norm (z.B. 'DKD-R 6-1', 'EN 837-1') oder null"
     }
   ],
   "statements": [
@@ -238,6 +246,7 @@ Wichtige Regeln:
 - Extrahiere auch Umgebungsbedingungen (Temperatur, Luftfeuchte, Druck etc.) als influenceConditions. Wenn Bereiche angegeben sind (z.B. "(20...26) °C"), verwende min und max statt value.
 - Extrahiere den vollständigen Kalibrierverfahren-Text (DE und EN) in calibrationProcedure.
 - Extrahiere die Konformitätsaussage vollständig inkl. Entscheidungsregel und Bezugsnorm.
+- Sind Toleranzgrenzen als absolute Unter-/Obergrenze des Messwerts angegeben, verwende acceptanceLimitLower/acceptanceLimitUpper. Ist eine Toleranz als Formel angegeben (z.B. "±(0,1 % v. MW + 2 Digit)"), übernimm sie als tolerance statt sie selbst auszurechnen.
 - Wenn Informationen nicht vorhanden sind, setze den Wert auf null.
 - Wenn calibrationLocation nicht explizit angegeben ist oder identisch mit dem Labor, setze calibrationLocation auf null.
 - Antworte NUR mit dem JSON-Objekt, kein weiterer Text.`;
@@ -0,0 +1,47 @@
+/**
+ * Conversion Worker - Runs a conversion off the main thread (see
+ * convertXmlToDccDocumentsAsync in mapping-engine.js, option `worker: true`).
+ *
+ * Workers have neither DOMParser nor document.evaluate, so the worker-side
+ * parser and XPath engine (xml-dom.js, xpath-evaluator.js) are installed under
+ * the browser's names; the mapping engine and the source adapters run unchanged.
+ * When that parser rejects a document, the error is flagged `parseFailed` and
+ * the caller converts on the main thread with the browser's DOMParser instead.
+ *
+ * Messages:
+ *   in   { xmlString, profile, options: { profiles, cache } }
+ *   out  { type: 'progress', fraction }   — every few milliseconds
+ *        { type: 'result', documents }    — once, when done
+ *        { type: 'error', message, problems, parseFailed }
+ */
+
+import { XmlDomParser, XmlNode } from './xml-dom.js';
+import { XPathResult } from './xpath-evaluator.js';
+import { convertXmlToDccDocumentsAsync } from './mapping-engine.js';
+
+let parseFailed = false;
+
+class WorkerDomParser extends XmlDomParser {
+    parseFromString(text, type) {
+        const doc = super.parseFromString(text, type);
+        if (doc.documentElement?.nodeName === 'parsererror') parseFailed = true;
+        return doc;
+    }
+}
+
+Object.assign(globalThis, { DOMParser: WorkerDomParser, Node: XmlNode, XPathResult });
+
+self.onmessage = async ({ data }) => {
+    const { xmlString, profile, options } = data;
+    parseFailed = false;
+    try {
+        const documents = await convertXmlToDccDocumentsAsync(xmlString, profile, {
+            ...options,
+            worker: false,
+            onProgress: fraction => self.postMessage({ type: 'progress', fraction }),
+        });
+        self.postMessage({ type: 'result', documents });
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message, problems: e.problems ?? null, parseFailed });
+    }
+};
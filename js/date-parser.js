@@ -0,0 +1,265 @@
+/**
+ * Date Parser - Pattern-based date/time parsing and timezone normalisation.
+ *
+ * Date options (profile-level, overridable per rule):
+ *   dateFormat      — pattern or list of patterns tried in order (default: "iso" and dotted
+ *                     German dates). Tokens: YYYY YY MMM MM M DD D HH H mm ss SSS Z; any other
+ *                     character is literal. Special patterns: "iso" (ISO 8601) and "excel"
+ *                     (spreadsheet serial day number, 1900 date system).
+ *   timezone        — zone of source values that carry no offset: "UTC", "+02:00" or an
+ *                     IANA name such as "Europe/Berlin"
+ *   outputTimezone  — convert to this zone before output; without it the wall-clock
+ *                     date/time of the source is kept. Values without a time of day
+ *                     are calendar dates and never shifted.
+ *
+ * Examples: "09.08.2024" with "DD.MM.YYYY", "08/09/2024" with "MM/DD/YYYY",
+ * "45513" with "excel", "2024-08-09T14:35:13+02:00" with "iso".
+ */
+
+export const DEFAULT_DATE_FORMATS = ['iso', 'DD.MM.YYYY', 'DD.MM.YYYY HH:mm', 'DD.MM.YYYY HH:mm:ss'];
+
+const MONTH_NAMES = {
+    jan: 1, feb: 2, mar: 3, 'mär': 3, apr: 4, may: 5, mai: 5, jun: 6, jul: 7,
+    aug: 8, sep: 9, oct: 10, okt: 10, nov: 11, dec: 12, dez: 12,
+};
+
+const TOKEN_PATTERNS = {
+    YYYY: '(\\d{4})',
+    YY: '(\\d{2})',
+    MMM: '([A-Za-zÄäÖöÜü]{3})[a-zäöü]*\\.?',
+    MM: '(\\d{2})',
+    M: '(\\d{1,2})',
+    DD: '(\\d{2})',
+    D: '(\\d{1,2})',
+    HH: '(\\d{2})',
+    H: '(\\d{1,2})',
+    mm: '(\\d{2})',
+    ss: '(\\d{2})',
+    SSS: '(\\d{1,9})',
+    Z: '(Z|[+\\-]\\d{2}:?\\d{2})',
+};
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/;
+
+const compiledPatterns = new Map();
+
+/**
+ * Parse a date/time value and format it as "YYYY-MM-DD" or an ISO 8601 timestamp.
+ * @param {string|number} raw - Source value
+ * @param {object} [options] - { dateFormat, timezone, outputTimezone }
+ * @param {'date'|'dateTime'} [output='date']
+ * @returns {string}
+ * @throws {Error} if no pattern matches or the date does not exist
+ */
+export function convertDate(raw, options = {}, output = 'date') {
+    const parts = parseDateTime(raw, options.dateFormat || DEFAULT_DATE_FORMATS);
+
+    // Offset of the source value: explicit in the value, else the configured zone
+    let offset = parts.offset;
+    if (offset == null && options.timezone) {
+        offset = offsetOfWallTime(parts, options.timezone);
+    }
+
+    let result;
+    if (options.outputTimezone && offset != null && !parts.dateOnly) {
+        const instant = wallToUtc(parts) - offset * 60000;
+        const outOffset = zoneOffsetMinutes(options.outputTimezone, instant);
+        result = { ...utcToWall(instant + outOffset * 60000), offset: outOffset };
+    } else {
+        result = { ...parts, offset };
+    }
+
+    return output === 'dateTime' ? formatDateTime(result) : formatDate(result);
+}
+
+/**
+ * Parse a date/time value against a list of patterns.
+ * @param {string|number} raw
+ * @param {string|string[]} formats
+ * @returns {{year, month, day, hour, minute, second, ms, offset, dateOnly}} offset in minutes or null
+ */
+export function parseDateTime(raw, formats) {
+    const str = String(raw).trim();
+    const list = Array.isArray(formats) ? formats : [formats];
+
+    for (const format of list) {
+        const parts = format === 'iso' ? parseIso(str)
+            : format === 'excel' ? parseExcelSerial(str)
+            : parsePattern(str, format);
+        if (parts) {
+            validateParts(raw, parts);
+            return parts;
+        }
+    }
+
+    throw new Error(`Cannot parse "${raw}" as a date (formats: ${list.join(', ')})`);
+}
+
+// ============================================================
+// Internal: Parsing
+// ============================================================
+
+function parseIso(str) {
+    const m = str.match(ISO_PATTERN);
+    if (!m) return null;
+    return {
+        year: +m[1], month: +m[2], day: +m[3],
+        hour: +(m[4] || 0), minute: +(m[5] || 0), second: +(m[6] || 0),
+        ms: m[7] ? Math.round(+`0.${m[7]}` * 1000) : 0,
+        offset: m[8] ? parseOffset(m[8]) : null,
+        dateOnly: !m[4],
+    };
+}
+
+function parseExcelSerial(str) {
+    if (!/^\d+(\.\d+)?$/.test(str)) return null;
+    const serial = parseFloat(str);
+    if (serial < 1) return null;
+    // Day 60 is the non-existent 1900-02-29 of the 1900 date system
+    const base = serial < 60 ? Date.UTC(1899, 11, 31) : Date.UTC(1899, 11, 30);
+    const millis = base + Math.round(serial * 86400000);
+    return { ...utcToWall(millis), offset: null, dateOnly: Number.isInteger(serial) };
+}
+
+function parsePattern(str, format) {
+    let compiled = compiledPatterns.get(format);
+    if (!compiled) {
+        compiled = compilePattern(format);
+        compiledPatterns.set(format, compiled);
+    }
+
+    const m = str.match(compiled.regex);
+    if (!m) return null;
+
+    const parts = {
+        year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0, ms: 0, offset: null,
+        dateOnly: !compiled.tokens.some(t => /^[Hms]/.test(t)),
+    };
+    compiled.tokens.forEach((token, i) => {
+        const val = m[i + 1];
+        switch (token) {
+            case 'YYYY': parts.year = +val; break;
+            case 'YY': parts.year = +val < 70 ? 2000 + +val : 1900 + +val; break;
+            case 'MMM': parts.month = MONTH_NAMES[val.toLowerCase()] ?? NaN; break;
+            case 'MM': case 'M': parts.month = +val; break;
+            case 'DD': case 'D': parts.day = +val; break;
+            case 'HH': case 'H': parts.hour = +val; break;
+            case 'mm': parts.minute = +val; break;
+            case 'ss': parts.second = +val; break;
+            case 'SSS': parts.ms = Math.round(+`0.${val}` * 1000); break;
+            case 'Z': parts.offset = parseOffset(val); break;
+        }
+    });
+    return parts;
+}
+
+function compilePattern(format) {
+    const tokens = [];
+    let source = '';
+    for (const piece of format.match(/YYYY|YY|MMM|MM|M|DD|D|HH|H|mm|ss|SSS|Z|[\s\S]/g) || []) {
+        if (TOKEN_PATTERNS[piece]) {
+            tokens.push(piece);
+            source += TOKEN_PATTERNS[piece];
+        } else if (/\s/.test(piece)) {
+            source += '\\s+';
+        } else {
+            source += piece.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return { regex: new RegExp(`^${source}$`), tokens };
+}
+
+function parseOffset(str) {
+    if (str === 'Z') return 0;
+    const m = str.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (!m) return null;
+    const minutes = +m[2] * 60 + +m[3];
+    return m[1] === '-' ? -minutes : minutes;
+}
+
+function validateParts(raw, p) {
+    const d = new Date(wallToUtc(p));
+    const valid = !Number.isNaN(d.getTime())
+        && d.getUTCFullYear() === p.year
+        && d.getUTCMonth() + 1 === p.month
+        && d.getUTCDate() === p.day
+        && p.hour < 24 && p.minute < 60 && p.second < 60;
+    if (!valid) throw new Error(`Invalid date "${raw}"`);
+}
+
+// ============================================================
+// Internal: Timezones
+// ============================================================
+
+function wallToUtc(p) {
+    const d = new Date(Date.UTC(2000, p.month - 1, p.day, p.hour, p.minute, p.second, p.ms));
+    d.setUTCFullYear(p.year); // Date.UTC maps years 0-99 to 1900-1999
+    return d.getTime();
+}
+
+function utcToWall(millis) {
+    const d = new Date(millis);
+    return {
+        year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+        hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(),
+        ms: d.getUTCMilliseconds(),
+    };
+}
+
+/**
+ * Offset (minutes east of UTC) of a zone at a given instant.
+ */
+function zoneOffsetMinutes(zone, instant) {
+    if (zone === 'UTC' || zone === 'Z') return 0;
+    const fixed = parseOffset(zone);
+    if (fixed != null) return fixed;
+
+    let fmt;
+    try {
+        fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+    } catch {
+        throw new Error(`Unknown timezone "${zone}"`);
+    }
+    const f = {};
+    for (const { type, value } of fmt.formatToParts(new Date(instant))) f[type] = +value;
+    const wall = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+    return Math.round((wall - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * Offset of a zone for a wall-clock time in that zone (DST-aware).
+ */
+function offsetOfWallTime(parts, zone) {
+    const wall = wallToUtc(parts);
+    let offset = zoneOffsetMinutes(zone, wall);
+    offset = zoneOffsetMinutes(zone, wall - offset * 60000);
+    return offset;
+}
+
+// ============================================================
+// Internal: Formatting
+// ============================================================
+
+function pad(n, len = 2) {
+    return String(n).padStart(len, '0');
+}
+
+function formatDate(p) {
+    return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+function formatDateTime(p) {
+    let str = `${formatDate(p)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    if (p.ms) str += `.${pad(p.ms, 3)}`;
+    if (p.offset === 0) {
+        str += 'Z';
+    } else if (p.offset != null) {
+        const abs = Math.abs(p.offset);
+        str += `${p.offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+    }
+    return str;
+}
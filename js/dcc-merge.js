@@ -0,0 +1,151 @@
+/**
+ * DCC Merge - Deep-merges the DCC-JSON of several source files into one certificate.
+ *
+ * Each source has a role. Precedence is decided per top-level section: sources
+ * whose role owns the section (see SOURCE_ROLES) come first, then all other
+ * sources in the order given. Within a section:
+ *   - objects are merged key by key, recursively
+ *   - scalars: the first source that sets a field wins; a different value from a
+ *     later source is kept out and reported as a conflict
+ *   - arrays: "union" (default) appends elements not already present, "byIndex"
+ *     merges the i-th elements with each other (default for items[], whose
+ *     description and serial number often come from different systems), and
+ *     "replace" keeps the first source's array as a whole
+ * null/undefined values never override or conflict with anything.
+ */
+
+export const SOURCE_ROLES = {
+    admin: {
+        label: 'Admin data (ERP / order)',
+        sections: ['coreData', 'calibrationLaboratory', 'customer', 'items', 'respPersons', 'accessories', 'remarks'],
+    },
+    measurement: {
+        label: 'Measurement data (test bench)',
+        sections: ['measurementResults', 'measuringEquipments', 'calibrationSOPs', 'calibrationLocation', 'statements'],
+    },
+    supplement: {
+        label: 'Supplementary',
+        sections: [],
+    },
+};
+
+const DEFAULT_ARRAY_MERGE = {
+    items: 'byIndex',
+};
+
+/**
+ * Merge several DCC-JSON documents.
+ * @param {{role: string, label: string, data: object}[]} sources - In fallback order
+ * @param {object} [options] - { arrays: { "items": "byIndex", "measurementResults": "union", ... } }
+ *        keyed by array path without indices (e.g. "measurementResults.results")
+ * @returns {{data: object, conflicts: {path: string, value: *, source: string, otherValue: *, otherSource: string}[]}}
+ */
+export function mergeDccDocuments(sources, options = {}) {
+    const ctx = {
+        strategies: { ...DEFAULT_ARRAY_MERGE, ...options.arrays },
+        origins: new Map(), // path → label of the source that set it
+        conflicts: [],
+    };
+
+    const data = {};
+    const sections = new Set(sources.flatMap(s => Object.keys(s.data || {})));
+    for (const section of sections) {
+        for (const source of orderByPrecedence(sources, section)) {
+            const value = source.data?.[section];
+            if (value == null) continue;
+            data[section] = mergeValue(data[section], value, section, source, ctx);
+        }
+    }
+
+    return { data, conflicts: ctx.conflicts };
+}
+
+// ============================================================
+// Internal
+// ============================================================
+
+function orderByPrecedence(sources, section) {
+    const owns = (s) => SOURCE_ROLES[s.role]?.sections.includes(section);
+    return [...sources.filter(owns), ...sources.filter(s => !owns(s))];
+}
+
+function mergeValue(current, incoming, path, source, ctx) {
+    if (incoming == null) return current;
+    if (current == null) {
+        ctx.origins.set(path, source.label);
+        return structuredClone(incoming);
+    }
+
+    if (isPlainObject(current) && isPlainObject(incoming)) {
+        for (const [key, value] of Object.entries(incoming)) {
+            const merged = mergeValue(current[key], value, `${path}.${key}`, source, ctx);
+            if (merged !== undefined) current[key] = merged;
+        }
+        return current;
+    }
+
+    if (Array.isArray(current) && Array.isArray(incoming)) {
+        return mergeArray(current, incoming, path, source, ctx);
+    }
+
+    if (!deepEqual(current, incoming)) addConflict(ctx, path, current, incoming, source);
+    return current;
+}
+
+function mergeArray(current, incoming, path, source, ctx) {
+    const strategy = ctx.strategies[path.replace(/\[\d+\]/g, '')] || 'union';
+
+    if (strategy === 'byIndex') {
+        incoming.forEach((value, i) => {
+            const merged = mergeValue(current[i], value, `${path}[${i}]`, source, ctx);
+            if (merged !== undefined) current[i] = merged;
+        });
+    } else if (strategy === 'replace') {
+        if (!deepEqual(current, incoming)) addConflict(ctx, path, current, incoming, source);
+    } else {
+        for (const value of incoming) {
+            if (value == null || current.some(existing => deepEqual(existing, value))) continue;
+            ctx.origins.set(`${path}[${current.length}]`, source.label);
+            current.push(structuredClone(value));
+        }
+    }
+    return current;
+}
+
+function addConflict(ctx, path, value, otherValue, otherSource) {
+    ctx.conflicts.push({
+        path,
+        value,
+        source: originOf(ctx, path),
+        otherValue,
+        otherSource: otherSource.label,
+    });
+}
+
+/**
+ * Label of the source that set a path, or the nearest enclosing path it set.
+ */
+function originOf(ctx, path) {
+    for (let p = path; p; p = parentPath(p)) {
+        if (ctx.origins.has(p)) return ctx.origins.get(p);
+    }
+    return null;
+}
+
+function parentPath(path) {
+    const m = path.match(/^(.*)(\.[^.[\]]+|\[\d+\])$/);
+    return m ? m[1] : '';
+}
+
+function isPlainObject(value) {
+    return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a == null || b == null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
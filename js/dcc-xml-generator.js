@@ -1,28 +1,89 @@
 /**
- * DCC v3.3.0 XML Generator
- * Generates a valid Digital Calibration Certificate XML document from structured data.
+ * DCC XML Generator
+ * Generates a valid Digital Calibration Certificate XML document from structured data,
+ * for one of the supported schema versions (see DCC_VERSIONS).
  *
- * Schema: https://ptb.de/dcc/v3.3.0/dcc.xsd
+ * Schemas: https://ptb.de/dcc/v3.3.0/dcc.xsd, https://ptb.de/dcc/v3.4.0-rc.1/dcc.xsd
  * Namespace: https://ptb.de/dcc
  * SI Namespace: https://ptb.de/si
  */
 
+import { normalizeUnit } from './unit-normalizer.js';
+import { parseNumber, resolveNumberFormat, extractUnitSuffix } from './number-parser.js';
+import { convertDate } from './date-parser.js';
+
 const DCC_NS = 'https://ptb.de/dcc';
 const SI_NS = 'https://ptb.de/si';
-const DCC_SCHEMA_VERSION = '3.3.0';
-const DCC_SCHEMA_LOCATION = 'https://ptb.de/dcc/v3.3.0/dcc.xsd';
+
+const indent = (level) => '  '.repeat(level);
+
+/**
+ * Output targets. Most of the certificate is the same in every version; the
+ * elements whose shape changed are written by the version's own emitters.
+ *
+ *   3.3.0       — expanded uncertainty as si:expandedUnc (D-SI 2.1 form)
+ *   3.4.0-rc.1  — expanded uncertainty as si:measurementUncertaintyUnivariate/
+ *                 si:expandedMU (D-SI 2.2 form; si:expandedUnc is deprecated)
+ * and likewise for the XMLList variants of column-wise results.
+ */
+const DCC_TARGETS = {
+    '3.3.0': {
+        label: 'v3.3.0',
+        schemaLocation: 'https://ptb.de/dcc/v3.3.0/dcc.xsd',
+        expandedUncertainty: emitExpandedUnc,
+        expandedUncertaintyList: emitExpandedUncList,
+    },
+    '3.4.0-rc.1': {
+        label: 'v3.4.0 (rc.1)',
+        schemaLocation: 'https://ptb.de/dcc/v3.4.0-rc.1/dcc.xsd',
+        expandedUncertainty: emitExpandedMU,
+        expandedUncertaintyList: emitExpandedMUList,
+    },
+};
+
+export const DCC_VERSIONS = Object.keys(DCC_TARGETS);
+export const DEFAULT_DCC_VERSION = '3.3.0';
+
+/**
+ * Layouts of measurement results:
+ *   rows     — one dcc:list per test point, one si:real per value (default)
+ *   columns  — one dcc:quantity per column (set point, reference, measured value,
+ *              deviation, limits) holding an si:realListXMLList, with the expanded
+ *              uncertainty as a list on the measured values. Values that not every
+ *              point has (and conformity) stay in a dcc:list of their own per point.
+ */
+export const RESULT_LAYOUTS = ['rows', 'columns'];
+
+/**
+ * Display name of a schema version, e.g. "v3.4.0 (rc.1)".
+ * @param {string} version - One of DCC_VERSIONS
+ * @returns {string}
+ */
+export function dccVersionLabel(version) {
+    return DCC_TARGETS[version]?.label ?? version;
+}
 
 /**
  * Generate DCC XML from structured calibration data.
  * @param {object} data - Structured calibration data (from Claude API)
+ * @param {object} [options]
+ * @param {string} [options.version] - Output schema version, one of DCC_VERSIONS (default 3.3.0)
+ * @param {string} [options.layout] - Result layout, one of RESULT_LAYOUTS (default "rows")
+ * @param {boolean} [options.equipmentText] - Also write the equipment's dates and traceability
+ *        as free text in its description (default false)
  * @returns {{xml: string, warnings: string[]}}
+ * @throws {Error} for an unknown schema version or layout
  */
-export function generateDccXml(data) {
+export function generateDccXml(data, options = {}) {
+    const version = options.version || DEFAULT_DCC_VERSION;
+    const target = DCC_TARGETS[version];
+    if (!target) throw new Error(`Unknown DCC schema version "${version}" (expected ${DCC_VERSIONS.join(', ')})`);
+    const layout = options.layout || 'rows';
+    if (!RESULT_LAYOUTS.includes(layout)) throw new Error(`Unknown result layout "${layout}" (expected ${RESULT_LAYOUTS.join(', ')})`);
+
     const warnings = [];
     const lines = [];
 
-    const indent = (level) => '  '.repeat(level);
-
     function esc(str) {
         if (str == null) return '';
         return String(str)
@@ -32,6 +93,236 @@ export function generateDccXml(data) {
             .replace(/"/g, '&quot;');
     }
 
+    // Units are written in D-SI notation; unknown spellings are kept and reported once
+    const unknownUnits = new Set();
+    function siUnit(unit) {
+        if (!unit) return '';
+        const normalized = normalizeUnit(unit);
+        if (!normalized.known && !unknownUnits.has(normalized.unit)) {
+            unknownUnits.add(normalized.unit);
+            warnings.push(`Einheit "${normalized.unit}" ist keine gültige D-SI-Einheit.`);
+        }
+        return normalized.unit;
+    }
+
+    // Quantities of one test point, in output order
+    function resultQuantities(r, mr) {
+        const quantities = [];
+        const real = (refType, de, en, value, unit, uncertainty = null) => {
+            quantities.push({ refType, de, en, value, unit, uncertainty });
+        };
+
+        if (r.setPoint != null) {
+            real('basic_setPoint', 'Sollwert', 'Set point', r.setPoint, siUnit(r.setPointUnit || r.nominalUnit));
+        }
+        const nomVal = r.nominalValue ?? r.referenceValue;
+        if (nomVal != null) {
+            const nomUnit = r.nominalUnit || r.referenceUnit || r.measuredUnit || '';
+            real('basic_referenceValue', 'Bezugswert', 'Reference value', nomVal, siUnit(nomUnit));
+        }
+        if (r.measuredValue != null) {
+            real('basic_measuredValue', 'Messwert', 'Measured value', r.measuredValue, siUnit(r.measuredUnit),
+                r.uncertainty != null ? r : null);
+        }
+        if (r.deviation != null) {
+            real('basic_measurementError', 'Abweichung', 'Deviation', r.deviation, siUnit(r.deviationUnit || r.measuredUnit));
+        }
+        // Acceptance limits: explicit or computed from a tolerance spec (limits of the
+        // measured value); otherwise a symmetric allowed deviation / MPE
+        const limits = acceptanceLimits(r, mr.tolerance);
+        if (limits.problem) warnings.push(`Messpunkt "${r.name || r.setPoint || r.nominalValue || '?'}": ${limits.problem}`);
+        const tolerance = r.allowedDeviation ?? r.mpe;
+        if (limits.lower != null || limits.upper != null) {
+            const limitUnit = siUnit(limits.unit);
+            if (limits.lower != null) {
+                real('basic_acceptanceLimitLower', 'Untere Toleranzgrenze', 'Lower acceptance limit', limits.lower, limitUnit);
+            }
+            if (limits.upper != null) {
+                real('basic_acceptanceLimitUpper', 'Obere Toleranzgrenze', 'Upper acceptance limit', limits.upper, limitUnit);
+            }
+        } else if (tolerance != null) {
+            const toleranceUnit = siUnit(r.allowedDeviationUnit || r.mpeUnit || r.measuredUnit || '');
+            real('basic_acceptanceLimitLower', 'Zul. Abweichung (untere)', 'Acceptance limit (lower)',
+                typeof tolerance === 'number' ? -Math.abs(tolerance) : tolerance, toleranceUnit);
+            real('basic_acceptanceLimitUpper', 'Zul. Abweichung (obere)', 'Acceptance limit (upper)',
+                typeof tolerance === 'number' ? Math.abs(tolerance) : tolerance, toleranceUnit);
+        }
+        if (r.conformity) {
+            quantities.push({ refType: 'basic_conformity', de: 'Bewertung', en: 'Conformity', text: r.conformity });
+        }
+        return quantities;
+    }
+
+    // Fixed bilingual names (de/en), or a name taken from the source (name)
+    function emitQuantityName(q, level) {
+        lines.push(`${indent(level)}<dcc:name>`);
+        if (q.name != null) {
+            lines.push(`${indent(level + 1)}<dcc:content lang="${esc(lang)}">${esc(q.name)}</dcc:content>`);
+        } else {
+            lines.push(`${indent(level + 1)}<dcc:content lang="de">${q.de}</dcc:content>`);
+            lines.push(`${indent(level + 1)}<dcc:content lang="en">${q.en}</dcc:content>`);
+        }
+        lines.push(`${indent(level)}</dcc:name>`);
+    }
+
+    function emitQuantity(q, level) {
+        lines.push(`${indent(level)}<dcc:quantity refType="${q.refType}">`);
+        emitQuantityName(q, level + 1);
+        if (q.text != null) {
+            lines.push(`${indent(level + 1)}<dcc:noQuantity>`);
+            lines.push(`${indent(level + 2)}<dcc:content lang="${esc(lang)}">${esc(q.text)}</dcc:content>`);
+            lines.push(`${indent(level + 1)}</dcc:noQuantity>`);
+        } else if (q.values) {
+            lines.push(`${indent(level + 1)}<si:realListXMLList>`);
+            lines.push(`${indent(level + 2)}<si:valueXMLList>${q.values.join(' ')}</si:valueXMLList>`);
+            lines.push(`${indent(level + 2)}<si:unitXMLList>${esc(xmlList(q.units))}</si:unitXMLList>`);
+            lines.push(`${indent(level + 1)}</si:realListXMLList>`);
+        } else {
+            lines.push(`${indent(level + 1)}<si:real>`);
+            lines.push(`${indent(level + 2)}<si:value>${q.value}</si:value>`);
+            lines.push(`${indent(level + 2)}<si:unit>${esc(q.unit)}</si:unit>`);
+            if (q.uncertainty) target.expandedUncertainty(lines, level + 2, q.uncertainty);
+            lines.push(`${indent(level + 1)}</si:real>`);
+        }
+        lines.push(`${indent(level)}</dcc:quantity>`);
+    }
+
+    // Row-wise: one list per test point
+    function emitPointList(point, level) {
+        lines.push(`${indent(level)}<dcc:list>`);
+        if (point.name) {
+            lines.push(`${indent(level + 1)}<dcc:name>`);
+            lines.push(`${indent(level + 2)}<dcc:content lang="${esc(lang)}">${esc(point.name)}</dcc:content>`);
+            lines.push(`${indent(level + 1)}</dcc:name>`);
+        }
+        for (const q of point.quantities) emitQuantity(q, level + 1);
+        lines.push(`${indent(level)}</dcc:list>`);
+    }
+
+    // Column-wise: a quantity becomes a value list if every point has it as a
+    // plain number (with uncertainty on all points or none); the rest stays
+    // with its point in a list of its own. Columns are keyed by refType and
+    // name, so absolute acceptance limits never mix with ± deviations
+    function emitColumns(points, level) {
+        const columnKey = q => `${q.refType}\u0000${q.de}`;
+        const columns = new Map();
+        for (const point of points) {
+            for (const q of point.quantities) {
+                const key = columnKey(q);
+                if (!columns.has(key)) columns.set(key, []);
+                columns.get(key).push(q);
+            }
+        }
+        const vectors = new Set();
+        for (const [key, qs] of columns) {
+            const complete = qs.length === points.length
+                && qs.every(q => q.text == null && isDecimal(q.value) && !/\s/.test(q.unit))
+                && (qs.every(q => !q.uncertainty) || qs.every(q => q.uncertainty && isDecimal(q.uncertainty.uncertainty)));
+            if (complete) vectors.add(key);
+        }
+        const partial = [...columns.keys()].filter(key => !vectors.has(key) && columns.get(key)[0].refType !== 'basic_conformity');
+        if (partial.length > 0) {
+            const names = partial.map(key => `"${columns.get(key)[0].de}"`).join(', ');
+            warnings.push(`Spalten ${names} sind unvollständig oder nicht numerisch und werden je Messpunkt ausgegeben.`);
+        }
+
+        lines.push(`${indent(level)}<dcc:list>`);
+        for (const key of vectors) {
+            const qs = columns.get(key);
+            lines.push(`${indent(level + 1)}<dcc:quantity refType="${qs[0].refType}">`);
+            emitQuantityName(qs[0], level + 2);
+            lines.push(`${indent(level + 2)}<si:realListXMLList>`);
+            lines.push(`${indent(level + 3)}<si:valueXMLList>${qs.map(q => String(q.value).trim()).join(' ')}</si:valueXMLList>`);
+            lines.push(`${indent(level + 3)}<si:unitXMLList>${esc(xmlList(qs.map(q => q.unit)))}</si:unitXMLList>`);
+            if (qs[0].uncertainty) {
+                target.expandedUncertaintyList(lines, level + 3, {
+                    uncertainty: qs.map(q => String(q.uncertainty.uncertainty).trim()).join(' '),
+                    coverageFactor: xmlList(qs.map(q => q.uncertainty.coverageFactor)),
+                    coverageProbability: xmlList(qs.map(q => q.uncertainty.coverageProbability)),
+                });
+            }
+            lines.push(`${indent(level + 2)}</si:realListXMLList>`);
+            lines.push(`${indent(level + 1)}</dcc:quantity>`);
+        }
+        for (const point of points) {
+            const rest = point.quantities.filter(q => !vectors.has(columnKey(q)));
+            if (rest.length > 0) emitPointList({ name: point.name, quantities: rest }, level + 1);
+        }
+        lines.push(`${indent(level)}</dcc:list>`);
+    }
+
+    // Item metadata as quantities where it is numeric (ranges, medium conditions,
+    // calibration factors); what cannot be read as numbers stays in the text
+    function itemQuantities(item) {
+        const quantities = [];
+        const textParts = [];
+        const ranges = [
+            ['measuringRange', 'basic_measuringRange', 'Messbereich', 'Measuring range'],
+            ['calibrationRange', 'basic_calibrationRange', 'Kalibrierbereich', 'Calibration range'],
+            ['signalOutput', 'basic_signalOutput', 'Signalausgang', 'Signal output'],
+        ];
+        for (const [field, refType, de, en] of ranges) {
+            if (item[field] == null || item[field] === '') continue;
+            const range = parseRange(item[field]);
+            if (!range) {
+                textParts.push(`${de}: ${item[field]}`);
+                continue;
+            }
+            const unit = siUnit(range.unit) || '\\one';
+            quantities.push({ refType: `${refType}Min`, de: `${de} (Minimum)`, en: `${en} (minimum)`, value: range.min, unit });
+            quantities.push({ refType: `${refType}Max`, de: `${de} (Maximum)`, en: `${en} (maximum)`, value: range.max, unit });
+        }
+        if (item.medium) {
+            quantities.push({ refType: 'basic_medium', de: 'Medium', en: 'Medium', text: item.medium });
+        }
+        for (const cond of item.mediumConditions || []) {
+            const quantity = parseQuantityText(cond.value, cond.unit);
+            quantities.push(quantity
+                ? { refType: 'basic_mediumCondition', name: cond.name, value: quantity.value, unit: siUnit(quantity.unit) || '\\one' }
+                : { refType: 'basic_mediumCondition', name: cond.name, text: String(cond.value ?? '') });
+        }
+        const factorSets = [
+            ['calibrationFactorsAsFound', 'basic_calibrationFactorAsFound', 'Kalibrierfaktoren (As Found)', 'Calibration factors (as found)'],
+            ['calibrationFactorsAsLeft', 'basic_calibrationFactorAsLeft', 'Kalibrierfaktoren (As Left)', 'Calibration factors (as left)'],
+        ];
+        for (const [field, refType, de, en] of factorSets) {
+            const factors = [...(item[field] || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+            if (factors.length === 0) continue;
+            const parsed = factors.map(f => parseQuantityText(f.value, f.unit));
+            if (parsed.every(Boolean)) {
+                quantities.push({
+                    refType, de, en,
+                    values: parsed.map(f => f.value),
+                    units: parsed.map(f => siUnit(f.unit) || '\\one'),
+                });
+            } else {
+                textParts.push(`${de}: ${factors.map(f => f.value).join(', ')}`);
+            }
+        }
+        return { quantities, textParts };
+    }
+
+    function emitUsedMethods(methods, level) {
+        if (methods.length === 0) return;
+        lines.push(`${indent(level)}<dcc:usedMethods>`);
+        for (const method of methods) {
+            lines.push(`${indent(level + 1)}<dcc:usedMethod>`);
+            lines.push(`${indent(level + 2)}<dcc:name>`);
+            lines.push(`${indent(level + 3)}<dcc:content lang="${esc(lang)}">${esc(method.name)}</dcc:content>`);
+            lines.push(`${indent(level + 2)}</dcc:name>`);
+            if (method.description) {
+                lines.push(`${indent(level + 2)}<dcc:description>`);
+                lines.push(`${indent(level + 3)}<dcc:content lang="${esc(lang)}">${esc(method.description)}</dcc:content>`);
+                lines.push(`${indent(level + 2)}</dcc:description>`);
+            }
+            for (const norm of method.norms || []) {
+                lines.push(`${indent(level + 2)}<dcc:norm>${esc(norm)}</dcc:norm>`);
+            }
+            lines.push(`${indent(level + 1)}</dcc:usedMethod>`);
+        }
+        lines.push(`${indent(level)}</dcc:usedMethods>`);
+    }
+
     // Determine language
     const lang = data.coreData?.languageCode || 'de';
     const secondLang = lang === 'de' ? 'en' : 'de';
@@ -43,8 +334,8 @@ export function generateDccXml(data) {
     lines.push(`  xmlns:dcc="${DCC_NS}"`);
     lines.push(`  xmlns:si="${SI_NS}"`);
     lines.push(`  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`);
-    lines.push(`  xsi:schemaLocation="${DCC_NS} ${DCC_SCHEMA_LOCATION}"`);
-    lines.push(`  schemaVersion="${DCC_SCHEMA_VERSION}">`);
+    lines.push(`  xsi:schemaLocation="${DCC_NS} ${target.schemaLocation}"`);
+    lines.push(`  schemaVersion="${version}">`);
 
     // =====================
     // ADMINISTRATIVE DATA
@@ -120,7 +411,7 @@ export function generateDccXml(data) {
     lines.push(`${indent(3)}<dcc:beginPerformanceDate>${esc(beginDate || '1970-01-01')}</dcc:beginPerformanceDate>`);
     lines.push(`${indent(3)}<dcc:endPerformanceDate>${esc(endDate || '1970-01-01')}</dcc:endPerformanceDate>`);
 
-    const perfLocation = data.coreData?.performanceLocation || 'laboratory';
+    const perfLocation = data.coreData?.performanceLocation || performanceLocationOf(data.calibrationLocation, data.customer);
     lines.push(`${indent(3)}<dcc:performanceLocation>${esc(perfLocation)}</dcc:performanceLocation>`);
 
     lines.push(`${indent(2)}</dcc:coreData>`);
@@ -135,6 +426,19 @@ export function generateDccXml(data) {
         lines.push(`${indent(5)}<dcc:content lang="${esc(lang)}">${esc(item.name || 'Prüfling')}</dcc:content>`);
         lines.push(`${indent(4)}</dcc:name>`);
 
+        // Description: free text and whatever could not be written as quantities
+        const itemMeta = itemQuantities(item);
+        const descParts = [];
+        if (item.description) descParts.push(item.description);
+        if (item.parameter) descParts.push(`Messparameter: ${item.parameter}`);
+        descParts.push(...itemMeta.textParts);
+        if (item.mpe) descParts.push(`MPE: ${item.mpe}`);
+        if (descParts.length > 0) {
+            lines.push(`${indent(4)}<dcc:description>`);
+            lines.push(`${indent(5)}<dcc:content lang="${esc(lang)}">${esc(descParts.join('; '))}</dcc:content>`);
+            lines.push(`${indent(4)}</dcc:description>`);
+        }
+
         if (item.manufacturer) {
             lines.push(`${indent(4)}<dcc:manufacturer>`);
             lines.push(`${indent(5)}<dcc:name>`);
@@ -219,32 +523,10 @@ export function generateDccXml(data) {
 
         lines.push(`${indent(4)}</dcc:identifications>`);
 
-        // Build description with extra item details
-        const descParts = [];
-        if (item.description) descParts.push(item.description);
-        if (item.parameter) descParts.push(`Messparameter: ${item.parameter}`);
-        if (item.measuringRange) descParts.push(`Messbereich: ${item.measuringRange}`);
-        if (item.signalOutput) descParts.push(`Signalausgang: ${item.signalOutput}`);
-        if (item.calibrationRange) descParts.push(`Kalibrierbereich: ${item.calibrationRange}`);
-        if (item.medium) descParts.push(`Medium: ${item.medium}`);
-        if (item.mediumConditions && item.mediumConditions.length > 0) {
-            const condStr = item.mediumConditions.map(c => `${c.name}: ${c.value}`).join(', ');
-            descParts.push(`Mediumbedingungen: ${condStr}`);
-        }
-        if (item.calibrationFactorsAsFound && item.calibrationFactorsAsFound.length > 0) {
-            const cfStr = item.calibrationFactorsAsFound.map(c => c.value).join(', ');
-            descParts.push(`Kalibrierfaktoren (As Found): ${cfStr}`);
-        }
-        if (item.calibrationFactorsAsLeft && item.calibrationFactorsAsLeft.length > 0) {
-            const cfStr = item.calibrationFactorsAsLeft.map(c => c.value).join(', ');
-            descParts.push(`Kalibrierfaktoren (As Left): ${cfStr}`);
-        }
-        if (item.mpe) descParts.push(`MPE: ${item.mpe}`);
-
-        if (descParts.length > 0) {
-            lines.push(`${indent(4)}<dcc:description>`);
-            lines.push(`${indent(5)}<dcc:content lang="${esc(lang)}">${esc(descParts.join('; '))}</dcc:content>`);
-            lines.push(`${indent(4)}</dcc:description>`);
+        if (itemMeta.quantities.length > 0) {
+            lines.push(`${indent(4)}<dcc:itemQuantities>`);
+            for (const q of itemMeta.quantities) emitQuantity(q, 5);
+            lines.push(`${indent(4)}</dcc:itemQuantities>`);
         }
 
         lines.push(`${indent(3)}</dcc:item>`);
@@ -380,8 +662,30 @@ export function generateDccXml(data) {
 
     // --- statements ---
     const statements = data.statements || [];
-    if (statements.length > 0 || data.remarks) {
+    const calLocation = data.calibrationLocation;
+    if (statements.length > 0 || data.remarks || calLocation) {
         lines.push(`${indent(2)}<dcc:statements>`);
+        // Calibration location: performanceLocation only names the kind of
+        // location, so the site and its address go into a statement
+        if (calLocation) {
+            lines.push(`${indent(3)}<dcc:statement refType="basic_performanceLocation">`);
+            lines.push(`${indent(4)}<dcc:name>`);
+            lines.push(`${indent(5)}<dcc:content lang="de">Kalibrierort</dcc:content>`);
+            lines.push(`${indent(5)}<dcc:content lang="en">Calibration location</dcc:content>`);
+            lines.push(`${indent(4)}</dcc:name>`);
+            lines.push(`${indent(4)}<dcc:respAuthority>`);
+            lines.push(`${indent(5)}<dcc:name>`);
+            lines.push(`${indent(6)}<dcc:content lang="${esc(lang)}">${esc(calLocation.name || customer.name || 'Kalibrierort')}</dcc:content>`);
+            lines.push(`${indent(5)}</dcc:name>`);
+            lines.push(`${indent(5)}<dcc:location>`);
+            if (calLocation.street) lines.push(`${indent(6)}<dcc:street>${esc(calLocation.street)}</dcc:street>`);
+            if (calLocation.postCode) lines.push(`${indent(6)}<dcc:postCode>${esc(calLocation.postCode)}</dcc:postCode>`);
+            if (calLocation.city) lines.push(`${indent(6)}<dcc:city>${esc(calLocation.city)}</dcc:city>`);
+            lines.push(`${indent(6)}<dcc:countryCode>${esc(calLocation.country || country)}</dcc:countryCode>`);
+            lines.push(`${indent(5)}</dcc:location>`);
+            lines.push(`${indent(4)}</dcc:respAuthority>`);
+            lines.push(`${indent(3)}</dcc:statement>`);
+        }
         for (const stmt of statements) {
             lines.push(`${indent(3)}<dcc:statement>`);
             if (stmt.name) {
@@ -436,6 +740,53 @@ export function generateDccXml(data) {
             lines.push(`${indent(4)}<dcc:name>`);
             lines.push(`${indent(5)}<dcc:content lang="${esc(lang)}">${esc(equip.name)}</dcc:content>`);
             lines.push(`${indent(4)}</dcc:name>`);
+            const equipLabel = equip.name || equip.serialNumber || equip.equipmentNumber || '?';
+            // Dates (converted to ISO) and traceability go into measuringEquipmentQuantities;
+            // a date that cannot be converted is left out and reported
+            const equipQuantities = [];
+            for (const [refType, de, en, date] of [
+                ['basic_calibrationDate', 'Kalibrierdatum', 'Calibration date', equip.calibrationDate],
+                ['basic_nextCalibrationDate', 'Nächste Kalibrierung', 'Next calibration date', equip.nextCalibrationDate],
+            ]) {
+                if (!date) continue;
+                try {
+                    equipQuantities.push({ refType, de, en, text: convertDate(date) });
+                } catch (e) {
+                    warnings.push(`Messmittel "${equipLabel}": ${de} "${date}" ist kein gültiges Datum und wird nicht ausgegeben.`);
+                }
+            }
+            if (equip.traceability) {
+                equipQuantities.push({ refType: 'basic_traceability', de: 'Rückführung', en: 'Traceability', text: String(equip.traceability).trim() });
+            }
+            // Free text; with options.equipmentText also the dates and traceability as given
+            const equipDescParts = [];
+            if (equip.description) equipDescParts.push(equip.description);
+            if (options.equipmentText) {
+                if (equip.traceability) equipDescParts.push(`Rückführung: ${equip.traceability}`);
+                if (equip.calibrationDate) equipDescParts.push(`Kalibrierdatum: ${equip.calibrationDate}`);
+                if (equip.nextCalibrationDate) equipDescParts.push(`Nächste Kalibrierung: ${equip.nextCalibrationDate}`);
+            }
+            if (equipDescParts.length > 0) {
+                lines.push(`${indent(4)}<dcc:description>`);
+                lines.push(`${indent(5)}<dcc:content lang="${esc(lang)}">${esc(equipDescParts.join('; '))}</dcc:content>`);
+                lines.push(`${indent(4)}</dcc:description>`);
+            }
+            // Traceability: reference to the standard's own DCC by number, with its hash if known
+            if (equip.certificateNumber) {
+                lines.push(`${indent(4)}<dcc:certificate>`);
+                lines.push(`${indent(5)}<dcc:referral>`);
+                lines.push(`${indent(6)}<dcc:content lang="de">Kalibrierschein des Normals</dcc:content>`);
+                lines.push(`${indent(6)}<dcc:content lang="en">Calibration certificate of the standard</dcc:content>`);
+                lines.push(`${indent(5)}</dcc:referral>`);
+                lines.push(`${indent(5)}<dcc:referralID>${esc(equip.certificateNumber)}</dcc:referralID>`);
+                if (equip.certificateHash) {
+                    lines.push(`${indent(5)}<dcc:procedure>${esc(equip.certificateHashAlgorithm || 'SHA-256')}</dcc:procedure>`);
+                    lines.push(`${indent(5)}<dcc:value>${esc(equip.certificateHash)}</dcc:value>`);
+                }
+                lines.push(`${indent(4)}</dcc:certificate>`);
+            } else if (equip.certificateHash) {
+                warnings.push(`Messmittel "${equipLabel}": Hash des Kalibrierscheins ohne Zertifikat-Nr. wird nicht ausgegeben.`);
+            }
             if (equip.manufacturer) {
                 lines.push(`${indent(4)}<dcc:manufacturer>`);
                 lines.push(`${indent(5)}<dcc:name>`);
@@ -471,7 +822,7 @@ export function generateDccXml(data) {
                     lines.push(`${indent(5)}</dcc:identification>`);
                 }
                 if (equip.certificateNumber) {
-                    lines.push(`${indent(5)}<dcc:identification>`);
+                    lines.push(`${indent(5)}<dcc:identification refType="basic_calibrationCertificateNumber">`);
                     lines.push(`${indent(6)}<dcc:issuer>calibrationLaboratory</dcc:issuer>`);
                     lines.push(`${indent(6)}<dcc:value>${esc(equip.certificateNumber)}</dcc:value>`);
                     lines.push(`${indent(6)}<dcc:name>`);
@@ -481,7 +832,7 @@ export function generateDccXml(data) {
                     lines.push(`${indent(5)}</dcc:identification>`);
                 }
                 if (equip.calibrationMark) {
-                    lines.push(`${indent(5)}<dcc:identification>`);
+                    lines.push(`${indent(5)}<dcc:identification refType="basic_calibrationMark">`);
                     lines.push(`${indent(6)}<dcc:issuer>calibrationLaboratory</dcc:issuer>`);
                     lines.push(`${indent(6)}<dcc:value>${esc(equip.calibrationMark)}</dcc:value>`);
                     lines.push(`${indent(6)}<dcc:name>`);
@@ -492,15 +843,17 @@ export function generateDccXml(data) {
                 }
                 lines.push(`${indent(4)}</dcc:identifications>`);
             }
-            // Description with traceability and dates
-            const equipDescParts = [];
-            if (equip.traceability) equipDescParts.push(`Rückführung: ${equip.traceability}`);
-            if (equip.calibrationDate) equipDescParts.push(`Kalibrierdatum: ${equip.calibrationDate}`);
-            if (equip.nextCalibrationDate) equipDescParts.push(`Nächste Kalibrierung: ${equip.nextCalibrationDate}`);
-            if (equipDescParts.length > 0) {
-                lines.push(`${indent(4)}<dcc:description>`);
-                lines.push(`${indent(5)}<dcc:content lang="${esc(lang)}">${esc(equipDescParts.join('; '))}</dcc:content>`);
-                lines.push(`${indent(4)}</dcc:description>`);
+            if (equipQuantities.length > 0) {
+                lines.push(`${indent(4)}<dcc:measuringEquipmentQuantities>`);
+                for (const q of equipQuantities) {
+                    lines.push(`${indent(5)}<dcc:quantity refType="${q.refType}">`);
+                    emitQuantityName(q, 6);
+                    lines.push(`${indent(6)}<dcc:noQuantity>`);
+                    lines.push(`${indent(7)}<dcc:content>${esc(q.text)}</dcc:content>`);
+                    lines.push(`${indent(6)}</dcc:noQuantity>`);
+                    lines.push(`${indent(5)}</dcc:quantity>`);
+                }
+                lines.push(`${indent(4)}</dcc:measuringEquipmentQuantities>`);
             }
             lines.push(`${indent(3)}</dcc:measuringEquipment>`);
         }
@@ -508,6 +861,13 @@ export function generateDccXml(data) {
     }
 
     // --- measurementResult(s) ---
+    const sops = data.calibrationSOPs || [];
+    const sopMethods = sops.filter(sop => sop.sopNumber || sop.description).map(sop => ({
+        name: sop.sopNumber || sop.description,
+        description: [sop.sopNumber ? sop.description : null, sop.version ? `Version ${sop.version}` : null]
+            .filter(Boolean).join('\n'),
+        norms: (Array.isArray(sop.norm) ? sop.norm : [sop.norm]).filter(Boolean),
+    }));
     const measurementResults = data.measurementResults || [];
     if (measurementResults.length === 0) {
         warnings.push('Keine Messergebnisse gefunden.');
@@ -516,6 +876,8 @@ export function generateDccXml(data) {
         lines.push(`${indent(3)}<dcc:name>`);
         lines.push(`${indent(4)}<dcc:content lang="${esc(lang)}">Messergebnis</dcc:content>`);
         lines.push(`${indent(3)}</dcc:name>`);
+        // Calibration SOPs still apply without results
+        emitUsedMethods(sopMethods, 3);
         lines.push(`${indent(3)}<dcc:results>`);
         lines.push(`${indent(4)}<dcc:result>`);
         lines.push(`${indent(5)}<dcc:name>`);
@@ -551,31 +913,8 @@ export function generateDccXml(data) {
                 lines.push(`${indent(3)}</dcc:description>`);
             }
 
-            // usedMethods
-            const methods = mr.usedMethods || [];
-            if (mr.method || methods.length > 0) {
-                lines.push(`${indent(3)}<dcc:usedMethods>`);
-                if (mr.method) {
-                    lines.push(`${indent(4)}<dcc:usedMethod>`);
-                    lines.push(`${indent(5)}<dcc:name>`);
-                    lines.push(`${indent(6)}<dcc:content lang="${esc(lang)}">${esc(mr.method)}</dcc:content>`);
-                    lines.push(`${indent(5)}</dcc:name>`);
-                    lines.push(`${indent(4)}</dcc:usedMethod>`);
-                }
-                for (const method of methods) {
-                    lines.push(`${indent(4)}<dcc:usedMethod>`);
-                    lines.push(`${indent(5)}<dcc:name>`);
-                    lines.push(`${indent(6)}<dcc:content lang="${esc(lang)}">${esc(method.name)}</dcc:content>`);
-                    lines.push(`${indent(5)}</dcc:name>`);
-                    if (method.description) {
-                        lines.push(`${indent(5)}<dcc:description>`);
-                        lines.push(`${indent(6)}<dcc:content lang="${esc(lang)}">${esc(method.description)}</dcc:content>`);
-                        lines.push(`${indent(5)}</dcc:description>`);
-                    }
-                    lines.push(`${indent(4)}</dcc:usedMethod>`);
-                }
-                lines.push(`${indent(3)}</dcc:usedMethods>`);
-            }
+            // usedMethods, plus the calibration SOPs, which apply to every result
+            emitUsedMethods([...(mr.method ? [{ name: mr.method }] : []), ...(mr.usedMethods || []), ...sopMethods], 3);
 
             // influenceConditions
             const conditions = mr.influenceConditions || [];
@@ -595,7 +934,7 @@ export function generateDccXml(data) {
                         lines.push(`${indent(7)}</dcc:name>`);
                         lines.push(`${indent(7)}<si:real>`);
                         lines.push(`${indent(8)}<si:value>${cond.min}</si:value>`);
-                        lines.push(`${indent(8)}<si:unit>${esc(cond.unit || '')}</si:unit>`);
+                        lines.push(`${indent(8)}<si:unit>${esc(siUnit(cond.unit))}</si:unit>`);
                         lines.push(`${indent(7)}</si:real>`);
                         lines.push(`${indent(6)}</dcc:quantity>`);
                         lines.push(`${indent(6)}<dcc:quantity>`);
@@ -604,20 +943,18 @@ export function generateDccXml(data) {
                         lines.push(`${indent(7)}</dcc:name>`);
                         lines.push(`${indent(7)}<si:real>`);
                         lines.push(`${indent(8)}<si:value>${cond.max}</si:value>`);
-                        lines.push(`${indent(8)}<si:unit>${esc(cond.unit || '')}</si:unit>`);
+                        lines.push(`${indent(8)}<si:unit>${esc(siUnit(cond.unit))}</si:unit>`);
                         lines.push(`${indent(7)}</si:real>`);
                         lines.push(`${indent(6)}</dcc:quantity>`);
                     } else if (cond.value != null) {
                         lines.push(`${indent(6)}<dcc:quantity>`);
                         lines.push(`${indent(7)}<si:real>`);
                         lines.push(`${indent(8)}<si:value>${cond.value}</si:value>`);
-                        lines.push(`${indent(8)}<si:unit>${esc(cond.unit || '')}</si:unit>`);
+                        lines.push(`${indent(8)}<si:unit>${esc(siUnit(cond.unit))}</si:unit>`);
                         if (cond.uncertainty != null) {
-                            lines.push(`${indent(8)}<si:expandedUnc>`);
-                            lines.push(`${indent(9)}<si:uncertainty>${cond.uncertainty}</si:uncertainty>`);
-                            lines.push(`${indent(9)}<si:coverageFactor>2</si:coverageFactor>`);
-                            lines.push(`${indent(9)}<si:coverageProbability>0.95</si:coverageProbability>`);
-                            lines.push(`${indent(8)}</si:expandedUnc>`);
+                            target.expandedUncertainty(lines, 8, {
+                                uncertainty: cond.uncertainty, coverageFactor: 2, coverageProbability: 0.95,
+                            });
                         }
                         lines.push(`${indent(7)}</si:real>`);
                         lines.push(`${indent(6)}</dcc:quantity>`);
@@ -647,131 +984,18 @@ export function generateDccXml(data) {
                 lines.push(`${indent(5)}</dcc:data>`);
                 lines.push(`${indent(4)}</dcc:result>`);
             } else {
-                // Build a list-based result with columns
+                // Build a list-based result: one list per test point, or one value list per column
                 lines.push(`${indent(4)}<dcc:result>`);
                 lines.push(`${indent(5)}<dcc:name>`);
                 lines.push(`${indent(6)}<dcc:content lang="${esc(lang)}">${esc(mr.name || 'Kalibrierergebnisse')}</dcc:content>`);
                 lines.push(`${indent(5)}</dcc:name>`);
                 lines.push(`${indent(5)}<dcc:data>`);
 
-                for (const r of results) {
-                    lines.push(`${indent(6)}<dcc:list>`);
-
-                    if (r.name) {
-                        lines.push(`${indent(7)}<dcc:name>`);
-                        lines.push(`${indent(8)}<dcc:content lang="${esc(lang)}">${esc(r.name)}</dcc:content>`);
-                        lines.push(`${indent(7)}</dcc:name>`);
-                    }
-
-                    // Set point
-                    if (r.setPoint != null) {
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_setPoint">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Sollwert</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Set point</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<si:real>`);
-                        lines.push(`${indent(9)}<si:value>${r.setPoint}</si:value>`);
-                        lines.push(`${indent(9)}<si:unit>${esc(r.setPointUnit || r.nominalUnit || '')}</si:unit>`);
-                        lines.push(`${indent(8)}</si:real>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                    }
-
-                    // Nominal / Reference value
-                    const nomVal = r.nominalValue ?? r.referenceValue;
-                    const nomUnit = r.nominalUnit || r.referenceUnit || r.measuredUnit || '';
-                    if (nomVal != null) {
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_referenceValue">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Bezugswert</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Reference value</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<si:real>`);
-                        lines.push(`${indent(9)}<si:value>${nomVal}</si:value>`);
-                        lines.push(`${indent(9)}<si:unit>${esc(nomUnit)}</si:unit>`);
-                        lines.push(`${indent(8)}</si:real>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                    }
-
-                    // Measured value
-                    if (r.measuredValue != null) {
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_measuredValue">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Messwert</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Measured value</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<si:real>`);
-                        lines.push(`${indent(9)}<si:value>${r.measuredValue}</si:value>`);
-                        lines.push(`${indent(9)}<si:unit>${esc(r.measuredUnit || '')}</si:unit>`);
-                        if (r.uncertainty != null) {
-                            lines.push(`${indent(9)}<si:expandedUnc>`);
-                            lines.push(`${indent(10)}<si:uncertainty>${r.uncertainty}</si:uncertainty>`);
-                            if (r.coverageFactor != null) {
-                                lines.push(`${indent(10)}<si:coverageFactor>${r.coverageFactor}</si:coverageFactor>`);
-                            }
-                            if (r.coverageProbability != null) {
-                                lines.push(`${indent(10)}<si:coverageProbability>${r.coverageProbability}</si:coverageProbability>`);
-                            }
-                            lines.push(`${indent(9)}</si:expandedUnc>`);
-                        }
-                        lines.push(`${indent(8)}</si:real>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                    }
-
-                    // Deviation
-                    if (r.deviation != null) {
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_measurementError">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Abweichung</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Deviation</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<si:real>`);
-                        lines.push(`${indent(9)}<si:value>${r.deviation}</si:value>`);
-                        lines.push(`${indent(9)}<si:unit>${esc(r.deviationUnit || r.measuredUnit || '')}</si:unit>`);
-                        lines.push(`${indent(8)}</si:real>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                    }
-
-                    // Allowed deviation / MPE
-                    const tolerance = r.allowedDeviation ?? r.mpe;
-                    const toleranceUnit = r.allowedDeviationUnit || r.mpeUnit || r.measuredUnit || '';
-                    if (tolerance != null) {
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_acceptanceLimitLower">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Zul. Abweichung (untere)</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Acceptance limit (lower)</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<si:real>`);
-                        lines.push(`${indent(9)}<si:value>${typeof tolerance === 'number' ? -Math.abs(tolerance) : tolerance}</si:value>`);
-                        lines.push(`${indent(9)}<si:unit>${esc(toleranceUnit)}</si:unit>`);
-                        lines.push(`${indent(8)}</si:real>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_acceptanceLimitUpper">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Zul. Abweichung (obere)</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Acceptance limit (upper)</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<si:real>`);
-                        lines.push(`${indent(9)}<si:value>${typeof tolerance === 'number' ? Math.abs(tolerance) : tolerance}</si:value>`);
-                        lines.push(`${indent(9)}<si:unit>${esc(toleranceUnit)}</si:unit>`);
-                        lines.push(`${indent(8)}</si:real>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                    }
-
-                    // Per-point conformity
-                    if (r.conformity) {
-                        lines.push(`${indent(7)}<dcc:quantity refType="basic_conformity">`);
-                        lines.push(`${indent(8)}<dcc:name>`);
-                        lines.push(`${indent(9)}<dcc:content lang="de">Bewertung</dcc:content>`);
-                        lines.push(`${indent(9)}<dcc:content lang="en">Conformity</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:name>`);
-                        lines.push(`${indent(8)}<dcc:noQuantity>`);
-                        lines.push(`${indent(9)}<dcc:content lang="${esc(lang)}">${esc(r.conformity)}</dcc:content>`);
-                        lines.push(`${indent(8)}</dcc:noQuantity>`);
-                        lines.push(`${indent(7)}</dcc:quantity>`);
-                    }
-
-                    lines.push(`${indent(6)}</dcc:list>`);
+                const points = results.map(r => ({ name: r.name, quantities: resultQuantities(r, mr) }));
+                if (layout === 'columns') {
+                    emitColumns(points, 6);
+                } else {
+                    for (const point of points) emitPointList(point, 6);
                 }
 
                 lines.push(`${indent(5)}</dcc:data>`);
@@ -785,9 +1009,7 @@ export function generateDccXml(data) {
 
     lines.push(`${indent(1)}</dcc:measurementResults>`);
 
-    // --- comments (calibration SOPs, calibration location) ---
-    const sops = data.calibrationSOPs || [];
-    const calLocation = data.calibrationLocation;
+    // --- comment: human-readable summary of calibration SOPs and location ---
     if (sops.length > 0 || calLocation) {
         lines.push(`${indent(1)}<dcc:comment>`);
         lines.push(`${indent(2)}<dcc:name>`);
@@ -801,7 +1023,7 @@ export function generateDccXml(data) {
             commentParts.push(`Kalibrierort: ${locParts.join(', ')}`);
         }
         if (sops.length > 0) {
-            const sopStr = sops.map(s => `${s.sopNumber}: ${s.description || ''}`).join('\n');
+            const sopStr = sops.map(s => [s.sopNumber, s.description].filter(Boolean).join(': ')).join('\n');
             commentParts.push(`Kalibrierverfahren (SOPs):\n${sopStr}`);
         }
         lines.push(`${indent(3)}<dcc:content lang="${esc(lang)}">${esc(commentParts.join('\n\n'))}</dcc:content>`);
@@ -850,3 +1072,237 @@ export function validateData(data) {
 
     return warnings;
 }
+
+// ============================================================
+// Acceptance limits
+// ============================================================
+
+/**
+ * Concrete acceptance limits of one test point, as limits of the measured value.
+ *
+ * Explicit limits (`acceptanceLimitLower` / `acceptanceLimitUpper`, in
+ * `acceptanceLimitUnit`) are taken as they are. Otherwise a tolerance spec —
+ * the point's own `tolerance`, or the one of its measurement result — is applied
+ * around the nominal value (setPoint, nominalValue or referenceValue):
+ *
+ *   { "lower": -0.5, "upper": 1.0 }                          asymmetric: nominal − 0.5 … nominal + 1.0
+ *   { "absolute": 0.5 }                                      nominal ± 0.5
+ *   { "percentOfReading": 0.1, "digits": 2, "resolution": 0.01 }
+ *                                                            nominal ± (0.1 % of the reading + 2 digits)
+ *   { "percentOfFullScale": 0.25, "fullScale": 16 }          nominal ± 0.25 % of 16
+ *
+ * The symmetric terms add up; `lower` / `upper` are added on top. The spec may
+ * name its `unit` (default: the measured value's unit).
+ * @param {object} result - DCC-JSON test point
+ * @param {object} [tolerance] - Spec of the measurement result, for points without their own
+ * @returns {{lower?: number, upper?: number, unit?: string, problem?: string}}
+ *          Limits (one may be missing for one-sided explicit limits), or a
+ *          problem why the spec could not be applied; {} if there is none
+ */
+export function acceptanceLimits(result, tolerance) {
+    const unit = result.acceptanceLimitUnit || result.measuredUnit || result.nominalUnit || result.setPointUnit || '';
+    if (result.acceptanceLimitLower != null || result.acceptanceLimitUpper != null) {
+        const lower = toNumber(result.acceptanceLimitLower);
+        const upper = toNumber(result.acceptanceLimitUpper);
+        if (Number.isNaN(lower) || Number.isNaN(upper)) return { problem: 'Toleranzgrenzen sind keine Zahlen.' };
+        return { lower: lower ?? undefined, upper: upper ?? undefined, unit };
+    }
+
+    const spec = result.tolerance ?? tolerance;
+    if (!spec || typeof spec !== 'object') return {};
+    const num = (key) => toNumber(spec[key]);
+    const keys = ['lower', 'upper', 'absolute', 'percentOfReading', 'digits', 'resolution', 'percentOfFullScale', 'fullScale'];
+    const bad = keys.filter(key => Number.isNaN(num(key)));
+    if (bad.length > 0) return { problem: `Toleranzangabe ${bad.join(', ')} ist keine Zahl.` };
+
+    const nominal = toNumber(result.setPoint ?? result.nominalValue ?? result.referenceValue);
+    if (nominal == null || Number.isNaN(nominal)) return { problem: 'Toleranzangabe ohne Nennwert.' };
+
+    let band = Math.abs(num('absolute') ?? 0);
+    if (num('percentOfReading') != null) {
+        const reading = toNumber(result.measuredValue);
+        if (reading == null || Number.isNaN(reading)) return { problem: 'Toleranz in % vom Messwert ohne Messwert.' };
+        band += Math.abs(num('percentOfReading') * reading) / 100;
+    }
+    if (num('percentOfFullScale') != null) {
+        if (num('fullScale') == null) return { problem: 'Toleranz in % vom Endwert ohne fullScale.' };
+        band += Math.abs(num('percentOfFullScale') * num('fullScale')) / 100;
+    }
+    if (num('digits') != null) {
+        if (num('resolution') == null) return { problem: 'Toleranz in Digits ohne resolution.' };
+        band += Math.abs(num('digits') * num('resolution'));
+    }
+
+    return {
+        lower: roundLimit(nominal - band + (num('lower') ?? 0)),
+        upper: roundLimit(nominal + band + (num('upper') ?? 0)),
+        unit: spec.unit || unit,
+    };
+}
+
+// undefined/null/'' → null, numbers and numeric strings → number, anything else → NaN
+function toNumber(value) {
+    if (value == null || value === '') return null;
+    return typeof value === 'number' ? value : Number(String(value).trim());
+}
+
+// Drop binary floating-point noise (19.959989999999998 → 19.95999)
+function roundLimit(value) {
+    return Number(value.toPrecision(12));
+}
+
+// ============================================================
+// Performance location
+// ============================================================
+
+/**
+ * Kind of performance location for a calibration location given as address:
+ * the customer's site if it has the customer's address, else "other".
+ * @param {object} [location] - DCC-JSON calibrationLocation
+ * @param {object} [customer] - DCC-JSON customer
+ * @returns {string} "laboratory" (no location), "customer" or "other"
+ */
+export function performanceLocationOf(location, customer) {
+    if (!location) return 'laboratory';
+    const same = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+    const atCustomer = customer && (location.street || location.city)
+        && same(location.street, customer.street) && same(location.city, customer.city);
+    return atCustomer ? 'customer' : 'other';
+}
+
+// ============================================================
+// Version-specific emitters
+// ============================================================
+
+/**
+ * Expanded uncertainty of an si:real, D-SI 2.1 form (DCC 3.3.0).
+ * @param {string[]} lines - Output lines
+ * @param {number} level - Indent level of the element
+ * @param {{uncertainty, coverageFactor?, coverageProbability?}} unc
+ */
+function emitExpandedUnc(lines, level, unc) {
+    lines.push(`${indent(level)}<si:expandedUnc>`);
+    lines.push(`${indent(level + 1)}<si:uncertainty>${unc.uncertainty}</si:uncertainty>`);
+    if (unc.coverageFactor != null) {
+        lines.push(`${indent(level + 1)}<si:coverageFactor>${unc.coverageFactor}</si:coverageFactor>`);
+    }
+    if (unc.coverageProbability != null) {
+        lines.push(`${indent(level + 1)}<si:coverageProbability>${unc.coverageProbability}</si:coverageProbability>`);
+    }
+    lines.push(`${indent(level)}</si:expandedUnc>`);
+}
+
+/**
+ * Expanded uncertainty of an si:real, D-SI 2.2 form (DCC 3.4.0).
+ * @param {string[]} lines - Output lines
+ * @param {number} level - Indent level of the element
+ * @param {{uncertainty, coverageFactor?, coverageProbability?}} unc
+ */
+function emitExpandedMU(lines, level, unc) {
+    lines.push(`${indent(level)}<si:measurementUncertaintyUnivariate>`);
+    lines.push(`${indent(level + 1)}<si:expandedMU>`);
+    lines.push(`${indent(level + 2)}<si:valueExpandedMU>${unc.uncertainty}</si:valueExpandedMU>`);
+    if (unc.coverageFactor != null) {
+        lines.push(`${indent(level + 2)}<si:coverageFactor>${unc.coverageFactor}</si:coverageFactor>`);
+    }
+    if (unc.coverageProbability != null) {
+        lines.push(`${indent(level + 2)}<si:coverageProbability>${unc.coverageProbability}</si:coverageProbability>`);
+    }
+    lines.push(`${indent(level + 1)}</si:expandedMU>`);
+    lines.push(`${indent(level)}</si:measurementUncertaintyUnivariate>`);
+}
+
+/**
+ * Expanded uncertainty of an si:realListXMLList, D-SI 2.1 form (DCC 3.3.0).
+ * @param {string[]} lines - Output lines
+ * @param {number} level - Indent level of the element
+ * @param {{uncertainty: string, coverageFactor?: string, coverageProbability?: string}} unc - Space-separated lists
+ */
+function emitExpandedUncList(lines, level, unc) {
+    lines.push(`${indent(level)}<si:expandedUncXMLList>`);
+    lines.push(`${indent(level + 1)}<si:uncertaintyXMLList>${unc.uncertainty}</si:uncertaintyXMLList>`);
+    if (unc.coverageFactor != null) {
+        lines.push(`${indent(level + 1)}<si:coverageFactorXMLList>${unc.coverageFactor}</si:coverageFactorXMLList>`);
+    }
+    if (unc.coverageProbability != null) {
+        lines.push(`${indent(level + 1)}<si:coverageProbabilityXMLList>${unc.coverageProbability}</si:coverageProbabilityXMLList>`);
+    }
+    lines.push(`${indent(level)}</si:expandedUncXMLList>`);
+}
+
+/**
+ * Expanded uncertainty of an si:realListXMLList, D-SI 2.2 form (DCC 3.4.0).
+ * @param {string[]} lines - Output lines
+ * @param {number} level - Indent level of the element
+ * @param {{uncertainty: string, coverageFactor?: string, coverageProbability?: string}} unc - Space-separated lists
+ */
+function emitExpandedMUList(lines, level, unc) {
+    lines.push(`${indent(level)}<si:measurementUncertaintyUnivariateXMLList>`);
+    lines.push(`${indent(level + 1)}<si:expandedMUXMLList>`);
+    lines.push(`${indent(level + 2)}<si:valueExpandedMUXMLList>${unc.uncertainty}</si:valueExpandedMUXMLList>`);
+    if (unc.coverageFactor != null) {
+        lines.push(`${indent(level + 2)}<si:coverageFactorXMLList>${unc.coverageFactor}</si:coverageFactorXMLList>`);
+    }
+    if (unc.coverageProbability != null) {
+        lines.push(`${indent(level + 2)}<si:coverageProbabilityXMLList>${unc.coverageProbability}</si:coverageProbabilityXMLList>`);
+    }
+    lines.push(`${indent(level + 1)}</si:expandedMUXMLList>`);
+    lines.push(`${indent(level)}</si:measurementUncertaintyUnivariateXMLList>`);
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+// Number format for item metadata: "0,5" and "0.5" are both read as decimals
+const ITEM_NUMBER_FORMAT = resolveNumberFormat({ decimalSeparator: 'auto' });
+
+/**
+ * Number with optional unit, e.g. "27 °C", "0,998" or 12 with a separate unit.
+ * @returns {{value: number, unit: string}|null} null if the text is not a number
+ */
+function parseQuantityText(raw, unit) {
+    if (raw == null || raw === '') return null;
+    if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw, unit: unit || '' } : null;
+    try {
+        const value = parseNumber(raw, ITEM_NUMBER_FORMAT);
+        return { value, unit: unit || extractUnitSuffix(raw) || '' };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Range such as "0...10 bar", "(20...26) °C", "4-20 mA", "-50 bis 300 °C", or
+ * an object { min, max, unit }.
+ * @returns {{min: number, max: number, unit: string}|null} null if not a numeric range
+ */
+function parseRange(raw) {
+    if (typeof raw === 'object') {
+        const min = parseQuantityText(raw.min, raw.unit);
+        const max = parseQuantityText(raw.max, raw.unit);
+        return min && max ? { min: min.value, max: max.value, unit: max.unit || min.unit } : null;
+    }
+    const text = String(raw).trim().replace(/^\((.*)\)\s*(.*)$/, '$1 $2');
+    const parts = text.split(/\s*(?:\.{2,}|…|–|—|\s(?:bis|to)\s|(?<=\d)\s*-(?=\s*[+\-−]?\d))\s*/);
+    if (parts.length !== 2) return null;
+    const min = parseQuantityText(parts[0]);
+    const max = parseQuantityText(parts[1]);
+    if (!min || !max || (min.unit && max.unit && min.unit !== max.unit)) return null;
+    return { min: min.value, max: max.value, unit: max.unit || min.unit };
+}
+
+function isDecimal(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    return /^[-+]?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(String(value).trim());
+}
+
+/**
+ * Space-separated XMLList of per-point values: a single entry if all points
+ * share it (D-SI applies it to every element), null if some point lacks it.
+ */
+function xmlList(values) {
+    if (values.some(v => v == null || v === '')) return null;
+    const texts = values.map(v => String(v).trim());
+    return texts.every(t => t === texts[0]) ? texts[0] : texts.join(' ');
+}
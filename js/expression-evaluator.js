@@ -0,0 +1,315 @@
+/**
+ * Expression Evaluator - Safe arithmetic/string expressions for derived values.
+ *
+ * Expressions are parsed into a small syntax tree and interpreted; nothing is
+ * passed to eval or Function, and only the whitelisted functions below can be
+ * called. Identifiers are resolved through a caller-supplied function.
+ *
+ * Syntax:
+ *   literals     12  0.5  1e-3  'text'  "text"  true  false  null
+ *   identifiers  setPoint  measuredValue  customer.name   (dotted = nested field)
+ *   operators    ?:  ||  &&  ==  !=  <  <=  >  >=  +  -  *  /  %  ^  unary - + !
+ *   functions    abs min max round(x, digits) floor ceil sqrt pow log10 ln exp
+ *                number string concat upper lower trim length coalesce
+ *
+ * null propagates through arithmetic and most functions ("measuredValue - setPoint"
+ * is null if either side is missing); use coalesce(x, 0) to substitute a default.
+ */
+
+const FUNCTIONS = {
+    abs: nullSafe(x => Math.abs(x)),
+    min: nullSafe((...xs) => Math.min(...xs)),
+    max: nullSafe((...xs) => Math.max(...xs)),
+    round: nullSafe((x, digits = 0) => {
+        const f = 10 ** digits;
+        return Math.round(x * f) / f;
+    }),
+    floor: nullSafe(x => Math.floor(x)),
+    ceil: nullSafe(x => Math.ceil(x)),
+    sqrt: nullSafe(x => Math.sqrt(x)),
+    pow: nullSafe((x, y) => x ** y),
+    log10: nullSafe(x => Math.log10(x)),
+    ln: nullSafe(x => Math.log(x)),
+    exp: nullSafe(x => Math.exp(x)),
+    number: nullSafe(x => toNumber(x)),
+    string: x => (x == null ? null : String(x)),
+    concat: (...xs) => xs.filter(x => x != null).join(''),
+    upper: x => (x == null ? null : String(x).toUpperCase()),
+    lower: x => (x == null ? null : String(x).toLowerCase()),
+    trim: x => (x == null ? null : String(x).trim()),
+    length: x => (x == null ? null : String(x).length),
+    coalesce: (...xs) => xs.find(x => x != null) ?? null,
+};
+
+const BINARY_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%'],
+];
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(\|\||&&|==|!=|<=|>=|[-+*/%^<>!?:(),]))/y;
+
+const compiled = new Map();
+
+/**
+ * Parse an expression (cached per source text).
+ * @param {string} source
+ * @returns {object} Syntax tree
+ * @throws {Error} on syntax errors
+ */
+export function compileExpression(source) {
+    let ast = compiled.get(source);
+    if (!ast) {
+        ast = new Parser(source).parse();
+        compiled.set(source, ast);
+    }
+    return ast;
+}
+
+/**
+ * Evaluate an expression.
+ * @param {string|object} expression - Source text or compiled tree
+ * @param {function(string): *} resolve - Returns the value of an identifier
+ *        (undefined if unknown, null if known but empty)
+ * @returns {*} Result (number, string, boolean or null)
+ */
+export function evaluateExpression(expression, resolve) {
+    const ast = typeof expression === 'string' ? compileExpression(expression) : expression;
+    return evaluate(ast, resolve);
+}
+
+// ============================================================
+// Internal: Parser
+// ============================================================
+
+class Parser {
+    constructor(source) {
+        this.source = String(source ?? '');
+        this.tokens = tokenize(this.source);
+        this.pos = 0;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) this.fail('empty expression');
+        const node = this.parseConditional();
+        if (this.pos < this.tokens.length) this.fail(`unexpected "${this.peek().value}"`);
+        return node;
+    }
+
+    parseConditional() {
+        const test = this.parseBinary(0);
+        if (!this.accept('?')) return test;
+        const then = this.parseConditional();
+        this.expect(':');
+        const otherwise = this.parseConditional();
+        return { type: 'cond', children: [test, then, otherwise] };
+    }
+
+    parseBinary(level) {
+        if (level >= BINARY_PRECEDENCE.length) return this.parseUnary();
+        let left = this.parseBinary(level + 1);
+        while (this.peek()?.kind === 'op' && BINARY_PRECEDENCE[level].includes(this.peek().value)) {
+            const op = this.next().value;
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', op, children: [left, right] };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token?.kind === 'op' && ['-', '+', '!'].includes(token.value)) {
+            this.next();
+            return { type: 'unary', op: token.value, children: [this.parseUnary()] };
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (!this.accept('^')) return base;
+        // right-associative, binds tighter than unary minus on its left: -2^2 = -4
+        return { type: 'binary', op: '^', children: [base, this.parseUnary()] };
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) this.fail('unexpected end of expression');
+
+        switch (token.kind) {
+            case 'num': return { type: 'lit', value: Number(token.value) };
+            case 'str': return { type: 'lit', value: unquote(token.value) };
+            case 'id':
+                if (token.value === 'true') return { type: 'lit', value: true };
+                if (token.value === 'false') return { type: 'lit', value: false };
+                if (token.value === 'null') return { type: 'lit', value: null };
+                if (this.accept('(')) return this.parseCall(token.value);
+                return { type: 'id', name: token.value };
+            case 'op':
+                if (token.value === '(') {
+                    const node = this.parseConditional();
+                    this.expect(')');
+                    return node;
+                }
+        }
+        this.fail(`unexpected "${token.value}"`);
+    }
+
+    parseCall(name) {
+        if (!Object.hasOwn(FUNCTIONS, name)) this.fail(`unknown function "${name}"`);
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.parseConditional());
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        return { type: 'call', name, children: args };
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    accept(op) {
+        const token = this.peek();
+        if (token?.kind === 'op' && token.value === op) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(op) {
+        if (!this.accept(op)) this.fail(`expected "${op}"`);
+    }
+
+    fail(reason) {
+        throw new Error(`Invalid expression "${this.source}": ${reason}`);
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        if (/^\s*$/.test(source.substring(index))) break;
+        TOKEN_PATTERN.lastIndex = index;
+        const m = TOKEN_PATTERN.exec(source);
+        if (!m) {
+            const rest = source.substring(index).trim();
+            throw new Error(`Invalid expression "${source}": unexpected character "${rest[0]}"`);
+        }
+        index = TOKEN_PATTERN.lastIndex;
+        if (m[1] != null) tokens.push({ kind: 'num', value: m[1] });
+        else if (m[2] != null) tokens.push({ kind: 'str', value: m[2] });
+        else if (m[3] != null) tokens.push({ kind: 'id', value: m[3] });
+        else tokens.push({ kind: 'op', value: m[4] });
+    }
+    return tokens;
+}
+
+function unquote(str) {
+    return str.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+// ============================================================
+// Internal: Evaluation
+// ============================================================
+
+function evaluate(node, resolve) {
+    switch (node.type) {
+        case 'lit':
+            return node.value;
+        case 'id': {
+            const value = resolve(node.name);
+            if (value === undefined) throw new Error(`Unknown identifier "${node.name}"`);
+            return value;
+        }
+        case 'unary': {
+            const value = evaluate(node.children[0], resolve);
+            if (node.op === '!') return !value;
+            if (value == null) return null;
+            return node.op === '-' ? -toNumber(value) : toNumber(value);
+        }
+        case 'cond': {
+            const [test, then, otherwise] = node.children;
+            return evaluate(test, resolve) ? evaluate(then, resolve) : evaluate(otherwise, resolve);
+        }
+        case 'call': {
+            const args = node.children.map(child => evaluate(child, resolve));
+            return FUNCTIONS[node.name](...args);
+        }
+        case 'binary':
+            return evaluateBinary(node, resolve);
+    }
+    throw new Error(`Invalid expression node "${node.type}"`);
+}
+
+function evaluateBinary(node, resolve) {
+    const { op } = node;
+    const left = evaluate(node.children[0], resolve);
+
+    // Short-circuit logic
+    if (op === '&&') return left ? evaluate(node.children[1], resolve) : left;
+    if (op === '||') return left ? left : evaluate(node.children[1], resolve);
+
+    const right = evaluate(node.children[1], resolve);
+    if (op === '==') return looseEquals(left, right);
+    if (op === '!=') return !looseEquals(left, right);
+
+    if (left == null || right == null) return null;
+
+    // "+" concatenates as soon as one side is text that is not a number
+    if (op === '+' && (Number.isNaN(toNumberOrNaN(left)) || Number.isNaN(toNumberOrNaN(right)))) {
+        return String(left) + String(right);
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return a / b;
+        case '%': return a % b;
+        case '^': return a ** b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+    throw new Error(`Unknown operator "${op}"`);
+}
+
+function looseEquals(a, b) {
+    if (a == null || b == null) return a == null && b == null;
+    if (typeof a === 'number' || typeof b === 'number') {
+        return toNumberOrNaN(a) === toNumberOrNaN(b);
+    }
+    return String(a) === String(b);
+}
+
+function toNumberOrNaN(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const str = String(value).trim();
+    return str === '' ? NaN : Number(str);
+}
+
+function toNumber(value) {
+    const num = toNumberOrNaN(value);
+    if (Number.isNaN(num)) throw new Error(`"${value}" is not a number`);
+    return num;
+}
+
+function nullSafe(fn) {
+    return (...args) => (args.some(a => a == null) ? null : fn(...args.map(toNumber)));
+}
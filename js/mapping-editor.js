@@ -4,13 +4,14 @@
  * Features:
  *  - Table of all current mappings with inline editing
  *  - Coverage stats (mapped vs available DCC target fields)
- *  - Source XML tree explorer (parsed from sample XML)
+ *  - Source tree explorer (parsed from the sample XML, JSON or CSV file)
  *  - Drag source paths onto unmapped target fields
  *  - Add / edit / delete mapping rules
  *  - Toggle between visual editor and raw JSON view
  */
 
-import { parseXmlToTree, flattenXmlPaths } from './mapping-engine.js';
+import { parseSourceToTree, flattenXmlPaths } from './mapping-engine.js';
+import { SOURCE_FORMATS, detectSourceFormat } from './source-adapters.js';
 
 // ============================================================
 // DCC-JSON target schema — every possible field
@@ -62,9 +63,10 @@ const DCC_ARRAY_TARGETS = [
 ];
 
 const MAPPING_TYPES = [
-    'string', 'number', 'integer', 'boolean', 'date',
+    'string', 'number', 'integer', 'boolean', 'date', 'dateTime', 'unit',
     'array', 'asFoundAsLeft', 'conformity',
-    'concat', 'static', 'template', 'lookup', 'firstOf',
+    'concat', 'static', 'template', 'lookup', 'firstOf', 'expression',
+    'count', 'sum', 'min', 'max', 'avg', 'distinctJoin', 'ref', 'fragment',
 ];
 
 // ============================================================
@@ -80,6 +82,7 @@ export class MappingEditor {
         this.profile = null;
         this.sourceTree = null;
         this.sourcePaths = [];
+        this.sourceContent = null;
         this.onChange = null; // callback when profile changes
         this._dragSourcePath = null;
     }
@@ -89,13 +92,21 @@ export class MappingEditor {
      */
     init(profile, xmlContent = null) {
         this.profile = JSON.parse(JSON.stringify(profile)); // deep copy
-        if (xmlContent) {
-            this.sourceTree = parseXmlToTree(xmlContent);
-            this.sourcePaths = this.sourceTree ? flattenXmlPaths(this.sourceTree) : [];
-        }
+        this.sourceContent = xmlContent;
+        this.parseSource();
         this.render();
     }
 
+    /**
+     * Build the source explorer tree from the sample file, in the profile's
+     * source format (paths are then written in that format's syntax).
+     */
+    parseSource() {
+        if (!this.sourceContent) return;
+        this.sourceTree = parseSourceToTree(this.sourceContent, this.profile.sourceFormat || 'xml', this.profile);
+        this.sourcePaths = this.sourceTree ? flattenXmlPaths(this.sourceTree) : [];
+    }
+
     getProfile() {
         return this.profile;
     }
@@ -165,6 +176,10 @@ export class MappingEditor {
         addBtn.textContent = '+ Add Rule';
         addBtn.addEventListener('click', () => this.showAddRuleDialog());
         header.appendChild(addBtn);
+        header.appendChild(this.createSourceFormatButton());
+        header.appendChild(this.createFragmentsButton());
+        header.appendChild(this.createDocumentSplitButton());
+        header.appendChild(this.createResultLayoutButton());
 
         section.appendChild(header);
 
@@ -237,6 +252,10 @@ export class MappingEditor {
                 this.emitChange();
             });
             tdSource.appendChild(valInput);
+        } else if (rule.type === 'expression') {
+            tdSource.appendChild(this.createExpressionInput(rule));
+        } else if (rule.type === 'fragment') {
+            tdSource.appendChild(this.createFragmentInput(rule));
         } else {
             const sourceInput = document.createElement('input');
             sourceInput.type = 'text';
@@ -297,6 +316,7 @@ export class MappingEditor {
             badge.style.cursor = 'pointer';
             badge.title = 'Click to expand/collapse nested fields';
             tdDetails.appendChild(badge);
+            if (rule.columns) tdDetails.appendChild(this.createColumnsInfo(rule));
         } else if (rule.type === 'template') {
             const tmplInput = document.createElement('input');
             tmplInput.type = 'text';
@@ -308,10 +328,10 @@ export class MappingEditor {
                 this.emitChange();
             });
             tdDetails.appendChild(tmplInput);
-        } else if (rule.type === 'concat') {
+        } else if (rule.type === 'concat' || rule.type === 'distinctJoin') {
             const sepInput = document.createElement('input');
             sepInput.type = 'text';
-            sepInput.value = rule.separator ?? ' ';
+            sepInput.value = rule.separator ?? (rule.type === 'distinctJoin' ? ', ' : ' ');
             sepInput.className = 'me-inline-input me-sep';
             sepInput.placeholder = 'separator';
             sepInput.style.width = '60px';
@@ -321,7 +341,19 @@ export class MappingEditor {
             });
             tdDetails.appendChild(document.createTextNode('sep: '));
             tdDetails.appendChild(sepInput);
-        } else if (rule.type === 'lookup' && rule.map) {
+        } else if (['number', 'integer', 'sum', 'min', 'max', 'avg'].includes(rule.type)) {
+            tdDetails.appendChild(this.createNumberFormatSelect(rule));
+        } else if (rule.type === 'date' || rule.type === 'dateTime') {
+            tdDetails.appendChild(this.createDateFormatInput(rule));
+        } else if (rule.type === 'ref') {
+            const index = rule.index || {};
+            const span = document.createElement('span');
+            span.className = 'text-muted text-xsmall';
+            span.textContent = `→ ${index.nodes || '?'}[${index.key || '@id'}] / ${rule.field?.source || '.'}`;
+            span.title = `Referenced node: ${index.nodes || '(index.nodes missing)'} where ${index.key || '@id'} equals the source value`
+                + `\nExtracted field: ${JSON.stringify(rule.field || { source: '.' })}`;
+            tdDetails.appendChild(span);
+        } else if ((rule.type === 'lookup' || rule.type === 'asFoundAsLeft' || rule.type === 'conformity') && rule.map) {
             const txt = Object.entries(rule.map).map(([k, v]) => `${k}→${v}`).join(', ');
             const span = document.createElement('span');
             span.className = 'text-muted text-xsmall';
@@ -343,6 +375,11 @@ export class MappingEditor {
             tdActions.appendChild(editBtn);
         }
 
+        if (rule.type !== 'array' && rule.type !== 'fragment') {
+            tdActions.appendChild(this.createTransformButton(rule));
+        }
+        if (rule.type !== 'fragment') tdActions.appendChild(this.createConditionButton(rule));
+
         const delBtn = document.createElement('button');
         delBtn.className = 'btn btn-small btn-danger-text';
         delBtn.textContent = 'Del';
@@ -443,6 +480,10 @@ export class MappingEditor {
                 this.emitChange();
             });
             tdSource.appendChild(srcInput);
+        } else if (field.type === 'expression') {
+            tdSource.appendChild(this.createExpressionInput(field));
+        } else if (field.type === 'fragment') {
+            tdSource.appendChild(this.createFragmentInput(field));
         } else {
             const sourceInput = document.createElement('input');
             sourceInput.type = 'text';
@@ -498,11 +539,16 @@ export class MappingEditor {
         const tdSub = document.createElement('td');
         if (field.type === 'array' && field.fields) {
             tdSub.textContent = `${field.fields.length} sub-fields`;
+            if (field.columns) tdSub.appendChild(this.createColumnsInfo(field));
         }
         tr.appendChild(tdSub);
 
         // Actions
         const tdActions = document.createElement('td');
+        if (field.type !== 'array' && field.type !== 'fragment') {
+            tdActions.appendChild(this.createTransformButton(field));
+        }
+        if (field.type !== 'fragment') tdActions.appendChild(this.createConditionButton(field));
         const delBtn = document.createElement('button');
         delBtn.className = 'btn btn-small btn-danger-text';
         delBtn.textContent = 'Del';
@@ -629,7 +675,8 @@ export class MappingEditor {
         const details = document.createElement('details');
         details.className = 'me-details';
         const summary = document.createElement('summary');
-        summary.innerHTML = `<h3>Source XML Explorer (${this.sourcePaths.length} paths)</h3>`;
+        const format = (this.profile.sourceFormat || 'xml').toUpperCase();
+        summary.innerHTML = `<h3>Source ${format} Explorer (${this.sourcePaths.length} paths)</h3>`;
         details.appendChild(summary);
 
         const hint = document.createElement('p');
@@ -783,6 +830,325 @@ export class MappingEditor {
     // Helpers
     // ============================================================
 
+    /**
+     * Column names of a column-oriented array rule, with their sources in the tooltip.
+     */
+    createColumnsInfo(rule) {
+        const span = document.createElement('span');
+        span.className = 'text-muted text-xsmall';
+        span.textContent = ` columns: ${Object.keys(rule.columns).join(', ')}`;
+        span.title = Object.entries(rule.columns)
+            .map(([name, spec]) => `${name} ← ${typeof spec === 'string' ? spec : spec.source}`)
+            .join('\n') + (rule.split ? `\nsplit: ${rule.split}` : '');
+        return span;
+    }
+
+    /**
+     * Button showing a rule's when/else condition; clicking it edits both as JSON.
+     */
+    createConditionButton(rule) {
+        const btn = document.createElement('button');
+        btn.className = rule.when ? 'btn btn-small me-option-active' : 'btn btn-small';
+        btn.textContent = rule.when ? (rule.else ? 'If/Else' : 'If') : '+ If';
+        btn.title = rule.when
+            ? `When ${describeCondition(rule.when)}${rule.else ? `\nElse: ${JSON.stringify(rule.else)}` : '\nElse: skip'}`
+            : 'Add a condition (when/else)';
+        btn.addEventListener('click', () => {
+            const parsed = promptJson(
+                'Condition as JSON, e.g. {"when": {"source": "@isAsLeft", "equals": "true"}, "else": {"source": "OtherPath"}}\n'
+                + 'Leave empty to remove the condition.',
+                rule.when ? { when: rule.when, ...(rule.else ? { else: rule.else } : {}) } : { when: { source: '' } }
+            );
+            if (parsed === undefined) return;
+            if (parsed === null) {
+                delete rule.when;
+                delete rule.else;
+            } else if (!parsed.when) {
+                alert('The condition needs a "when" entry.');
+                return;
+            } else {
+                rule.when = parsed.when;
+                if (parsed.else) rule.else = parsed.else;
+                else delete rule.else;
+            }
+            this.emitChange();
+            this.render();
+        });
+        return btn;
+    }
+
+    /**
+     * Button showing a rule's transform chain; clicking it edits the chain as JSON.
+     */
+    createTransformButton(rule) {
+        const steps = rule.transform || [];
+        const btn = document.createElement('button');
+        btn.className = steps.length > 0 ? 'btn btn-small me-option-active' : 'btn btn-small';
+        btn.textContent = steps.length > 0 ? `Tx ${steps.length}` : '+ Tx';
+        btn.title = steps.length > 0
+            ? `Transform: ${steps.map(step => JSON.stringify(step)).join(' → ')}`
+            : 'Add a transform chain (regex, replace, trim, split, ...)';
+        btn.addEventListener('click', () => {
+            const parsed = promptJson(
+                'Transform steps as JSON array, e.g. [{"split": "/", "index": -1}, {"regex": "\\\\d+"}, "trim"]\n'
+                + 'Leave empty to remove the transform.',
+                steps.length > 0 ? steps : []
+            );
+            if (parsed === undefined) return;
+            if (parsed === null || (Array.isArray(parsed) && parsed.length === 0)) {
+                delete rule.transform;
+            } else if (!Array.isArray(parsed)) {
+                alert('The transform must be a JSON array of steps.');
+                return;
+            } else {
+                rule.transform = parsed;
+            }
+            this.emitChange();
+            this.render();
+        });
+        return btn;
+    }
+
+    /**
+     * Select for a rule's number format: profile default, a locale preset or auto-detection.
+     */
+    createNumberFormatSelect(rule) {
+        const options = [
+            ['', 'profile format'],
+            ['en', '1,234.5 (en)'],
+            ['de', '1.234,5 (de)'],
+            ['fr', '1 234,5 (fr)'],
+            ['ch', "1'234.5 (ch)"],
+            ['auto', 'auto-detect'],
+        ];
+        const current = typeof rule.numberFormat === 'object'
+            ? (rule.numberFormat.decimalSeparator === 'auto' && Object.keys(rule.numberFormat).length === 1 ? 'auto' : 'custom')
+            : (rule.numberFormat || '');
+
+        const select = document.createElement('select');
+        select.className = 'me-type-select';
+        select.title = 'Number format (decimal / thousands separators)';
+        if (current === 'custom') options.push(['custom', 'custom (JSON)']);
+        for (const [value, label] of options) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            if (value === current) opt.selected = true;
+            select.appendChild(opt);
+        }
+        select.addEventListener('change', () => {
+            if (select.value === 'custom') return;
+            if (!select.value) delete rule.numberFormat;
+            else if (select.value === 'auto') rule.numberFormat = { decimalSeparator: 'auto' };
+            else rule.numberFormat = select.value;
+            this.emitChange();
+        });
+        return select;
+    }
+
+    /**
+     * Input for a rule's date pattern(s); several patterns are separated by "|".
+     */
+    createDateFormatInput(rule) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'me-inline-input';
+        input.placeholder = 'profile format';
+        input.title = 'Date pattern(s), e.g. DD.MM.YYYY | MM/DD/YYYY | iso | excel';
+        input.value = [].concat(rule.dateFormat || []).join(' | ');
+        input.addEventListener('change', () => {
+            const patterns = input.value.split('|').map(p => p.trim()).filter(Boolean);
+            if (patterns.length === 0) delete rule.dateFormat;
+            else rule.dateFormat = patterns.length === 1 ? patterns[0] : patterns;
+            this.emitChange();
+        });
+        return input;
+    }
+
+    /**
+     * Button showing the profile's source format; clicking it changes the format
+     * (and for CSV, its delimiter and header row; for XLSX, plain-range tables).
+     */
+    createSourceFormatButton() {
+        const format = this.profile.sourceFormat || 'xml';
+        const btn = document.createElement('button');
+        btn.className = format !== 'xml' ? 'btn btn-small me-option-active' : 'btn btn-small';
+        btn.textContent = `Source: ${format.toUpperCase()}`;
+        btn.title = 'Format of the source files. JSON paths are JSONPath-style ($.header.date, @.value); '
+            + 'CSV paths name a column ("Set point", #3), rows or meta/key. '
+            + 'XLSX paths name a cell or range (Admin!B2), a defined name (name:CertNo) or a table (table:Results).';
+        btn.addEventListener('click', () => {
+            const suggested = this.sourceContent ? detectSourceFormat(this.sourceContent) : format;
+            const input = prompt(`Source format (${SOURCE_FORMATS.join(', ')}):`, format === 'xml' ? suggested : format);
+            if (input === null) return;
+            const chosen = input.trim().toLowerCase() || 'xml';
+            if (!SOURCE_FORMATS.includes(chosen)) {
+                alert(`Unknown source format "${input}".`);
+                return;
+            }
+            if (chosen === 'xml') delete this.profile.sourceFormat;
+            else this.profile.sourceFormat = chosen;
+
+            if (chosen === 'csv') {
+                const csv = promptJson(
+                    'CSV options as JSON, e.g. {"delimiter": ";", "headerRow": 3} (headerRow counts non-blank lines; '
+                    + 'the lines above it are read as key/value pairs). Leave empty to detect the delimiter and use line 1.',
+                    this.profile.csv || {}
+                );
+                if (csv && typeof csv === 'object' && Object.keys(csv).length > 0) this.profile.csv = csv;
+                else if (csv !== undefined) delete this.profile.csv;
+            } else {
+                delete this.profile.csv;
+            }
+            if (chosen === 'xlsx') {
+                const xlsx = promptJson(
+                    'Workbook options as JSON. Excel tables are found automatically; declare plain ranges with a header row '
+                    + 'as tables, e.g. {"tables": {"Results": "Results!A3"}} (from the header start cell to the first empty row).',
+                    this.profile.xlsx || {}
+                );
+                if (xlsx && typeof xlsx === 'object' && Object.keys(xlsx).length > 0) this.profile.xlsx = xlsx;
+                else if (xlsx !== undefined) delete this.profile.xlsx;
+            } else {
+                delete this.profile.xlsx;
+            }
+            this.parseSource();
+            this.emitChange();
+            this.render();
+        });
+        return btn;
+    }
+
+    /**
+     * Button showing the profile's named fragments; clicking it edits them as JSON.
+     */
+    createFragmentsButton() {
+        const names = Object.keys(this.profile.fragments || {});
+        const btn = document.createElement('button');
+        btn.className = names.length > 0 ? 'btn btn-small me-option-active' : 'btn btn-small';
+        btn.textContent = `Fragments (${names.length})`;
+        btn.title = names.length > 0
+            ? `Reusable rule lists: ${names.join(', ')}`
+            : 'Define reusable rule lists (e.g. an address block)';
+        btn.addEventListener('click', () => {
+            const parsed = promptJson(
+                'Fragments as JSON, e.g. {"addressBlock": [{"target": "street", "source": "Address/Street", "type": "string"}]}\n'
+                + 'Include one with a rule of type "fragment". Leave empty to remove all fragments.',
+                this.profile.fragments || {}
+            );
+            if (parsed === undefined) return;
+            if (parsed === null || (typeof parsed === 'object' && !Array.isArray(parsed) && Object.keys(parsed).length === 0)) {
+                delete this.profile.fragments;
+            } else if (typeof parsed !== 'object' || Array.isArray(parsed)
+                || !Object.values(parsed).every(Array.isArray)) {
+                alert('Fragments must be a JSON object mapping names to rule arrays.');
+                return;
+            } else {
+                this.profile.fragments = parsed;
+            }
+            this.emitChange();
+            this.render();
+        });
+        return btn;
+    }
+
+    /**
+     * Button showing the profile's documentSplit path; clicking it edits the path.
+     */
+    createDocumentSplitButton() {
+        const split = this.profile.documentSplit;
+        const btn = document.createElement('button');
+        btn.className = split ? 'btn btn-small me-option-active' : 'btn btn-small';
+        btn.textContent = split ? `Split: ${split}` : 'One certificate';
+        btn.title = 'Path of the source nodes that each become a certificate of their own. '
+            + 'Rules with "scope": "document" read from the document root instead.';
+        btn.addEventListener('click', () => {
+            const input = prompt('Split the source into one certificate per node at this path (empty = whole file):', split || '');
+            if (input === null) return;
+            if (input.trim()) this.profile.documentSplit = input.trim();
+            else delete this.profile.documentSplit;
+            this.emitChange();
+            this.render();
+        });
+        return btn;
+    }
+
+    /**
+     * Button showing the profile's result layout; clicking it toggles between
+     * row-wise and column-wise DCC results.
+     */
+    createResultLayoutButton() {
+        const columns = this.profile.resultLayout === 'columns';
+        const btn = document.createElement('button');
+        btn.className = columns ? 'btn btn-small me-option-active' : 'btn btn-small';
+        btn.textContent = columns ? 'Results: column-wise' : 'Results: row-wise';
+        btn.title = 'Layout of the DCC results: one list per test point, or one si:realListXMLList per column '
+            + '(set point, measured value, ...). Preselects the layout in XML Convert.';
+        btn.addEventListener('click', () => {
+            if (columns) delete this.profile.resultLayout;
+            else this.profile.resultLayout = 'columns';
+            this.emitChange();
+            this.render();
+        });
+        return btn;
+    }
+
+    /**
+     * Inputs for the fragment a "fragment" rule includes and the element it reads
+     * within; the rule's target is the prefix of the included targets.
+     */
+    createFragmentInput(rule) {
+        const names = Object.keys(this.profile.fragments || {});
+        const wrapper = document.createElement('span');
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = rule.name || '';
+        nameInput.className = 'me-inline-input me-static';
+        nameInput.placeholder = 'fragment name';
+        nameInput.title = names.length > 0
+            ? `Included fragment. Defined here: ${names.join(', ')}`
+            : 'Included fragment (may come from the base profile)';
+        nameInput.addEventListener('change', () => {
+            rule.name = nameInput.value.trim();
+            this.emitChange();
+        });
+        wrapper.appendChild(nameInput);
+
+        const sourceInput = document.createElement('input');
+        sourceInput.type = 'text';
+        sourceInput.value = rule.source || '';
+        sourceInput.className = 'me-inline-input';
+        sourceInput.placeholder = 'within (optional)';
+        sourceInput.title = 'Source element the fragment rules read from, e.g. Customer/Address';
+        sourceInput.addEventListener('change', () => {
+            if (sourceInput.value.trim()) rule.source = sourceInput.value.trim();
+            else delete rule.source;
+            this.emitChange();
+        });
+        wrapper.appendChild(sourceInput);
+        return wrapper;
+    }
+
+    /**
+     * Input for an expression rule's formula; its variables are listed in the tooltip.
+     */
+    createExpressionInput(rule) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = rule.expression || '';
+        input.className = 'me-inline-input me-static';
+        input.placeholder = 'measuredValue - setPoint';
+        const vars = Object.entries(rule.variables || {}).map(([name, path]) => `${name} = ${path}`);
+        input.title = vars.length > 0
+            ? `Expression over sibling fields and variables:\n${vars.join('\n')}`
+            : 'Expression over already-mapped sibling fields';
+        input.addEventListener('change', () => {
+            rule.expression = input.value;
+            this.emitChange();
+        });
+        return input;
+    }
+
     getMappedScalarPaths() {
         const paths = new Set();
         for (const m of this.profile.mappings) {
@@ -818,3 +1184,33 @@ export class MappingEditor {
         if (this.onChange) this.onChange(this.profile);
     }
 }
+
+/**
+ * Ask for a JSON value in a prompt dialog.
+ * @returns {*} The parsed value, null if the input was cleared, undefined if cancelled or invalid
+ */
+function promptJson(message, current) {
+    const input = prompt(message, JSON.stringify(current));
+    if (input === null) return undefined;
+    if (!input.trim()) return null;
+    try {
+        return JSON.parse(input);
+    } catch (err) {
+        alert('Invalid JSON: ' + err.message);
+        return undefined;
+    }
+}
+
+/**
+ * Human-readable summary of a when condition, for tooltips.
+ */
+function describeCondition(cond) {
+    if (Array.isArray(cond)) return cond.map(describeCondition).join(' and ');
+    let text;
+    if (cond.all) text = `(${cond.all.map(describeCondition).join(' and ')})`;
+    else if (cond.any) text = `(${cond.any.map(describeCondition).join(' or ')})`;
+    else if (cond.equals !== undefined) text = `${cond.source} = ${[].concat(cond.equals).join(' | ')}`;
+    else if (cond.matches !== undefined) text = `${cond.source} ~ /${cond.matches}/${cond.flags || ''}`;
+    else text = `${cond.source} ${cond.exists === false ? 'is missing' : 'exists'}`;
+    return cond.not ? `not ${text}` : text;
+}
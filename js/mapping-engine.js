@@ -4,42 +4,232 @@
  *
  * Supported mapping types:
  *   string, number, integer, boolean, date       — basic scalars
- *   array                                        — repeating elements (recursive nesting)
+ *   dateTime                                     — ISO 8601 timestamp (date, time and offset)
+ *   unit                                         — unit string normalised to D-SI
+ *                                                  (a leading number is ignored: "12.5 mV" → "\milli\volt")
+ *   array                                        — repeating elements (recursive nesting), or rows
+ *                                                  zipped from parallel/delimited `columns`
  *   asFoundAsLeft                                — reads isAsFound/isAsLeft attributes
  *   conformity                                   — reads isConform attribute → "pass"/"fail"
+ *                                                  (both accept `source` + `map` + `default` to
+ *                                                  categorise any vendor value instead)
  *   concat                                       — combine multiple source fields
  *   static                                       — fixed value (no source needed)
  *   template                                     — string template with source references
  *   lookup                                       — value mapping via lookup table
  *   firstOf                                      — first non-null from multiple sources
+ *   count, sum, min, max, avg, distinctJoin      — aggregate over all nodes matching `source`
+ *   ref                                          — follow an ID reference: the key at `source` is
+ *                                                  looked up in an index over `index.nodes` and
+ *                                                  `field` is extracted from the referenced node
+ *   expression                                   — derived value from a safe formula over
+ *                                                  `variables` (source paths) and already-mapped
+ *                                                  sibling fields (see expression-evaluator.js)
+ *   fragment                                     — include a named rule list from profile.fragments
+ *                                                  (expanded before conversion, see resolveProfile)
+ *
+ * Source paths are simplified, namespace-agnostic XPath (see toXPath). A path prefixed
+ * with "xpath:" is compiled unchanged instead (full XPath 1.0 with axes, functions and
+ * unions; prefixes resolved from the source document and profile.namespaces); scalar
+ * results such as count(...) or sum(...) are supported. Before a conversion starts,
+ * all paths of the profile are compiled into an execution plan (see compileProfile);
+ * a profile with invalid paths is rejected as a whole.
+ *
+ * Rules that read source text may add a `transform` chain (regex capture, replace,
+ * trim, case, substring, pad, split; see text-transform.js). It runs on the raw
+ * text before type conversion, lookup or aggregation; for concat, template and
+ * firstOf on the combined text.
+ *
+ * Any rule or array field may carry a `when` condition on a source path (exists,
+ * equals, matches) and an `else` branch that replaces parts of the rule when the
+ * condition fails; without `else` the rule is skipped.
+ *
+ * Profile-level options:
+ *   unitAliases     — extra vendor unit spellings → D-SI strings (see unit-normalizer.js)
+ *   normalizeUnits  — also normalise plain "string" rules whose target is a unit field
+ *   namespaces      — extra prefix → namespace URI bindings for "xpath:" paths
+ *   numberFormat    — decimal/thousands separators etc. for number/integer rules
+ *                     (see number-parser.js); rules may override it with their own numberFormat
+ *   dateFormat      — date pattern(s) for date/dateTime rules, e.g. "DD.MM.YYYY" or "excel"
+ *   timezone        — zone of source timestamps without offset ("UTC", "+01:00", "Europe/Berlin")
+ *   outputTimezone  — zone dates and timestamps are converted to (see date-parser.js);
+ *                     all three may be overridden per rule
+ *   documentSplit   — path of the nodes that each become a certificate of their own
+ *                     (see convertXmlToDccDocuments)
+ *   extends         — id or name of a base profile whose rules and options are inherited
+ *   fragments       — named rule lists included with { "type": "fragment", "name", "target" }
+ *                     (see resolveProfile)
+ *   sourceFormat    — "xml" (default), "json", "csv" or "xlsx"; these sources are read into a
+ *                     DOM and their paths (JSONPath-style, column names, or cell references)
+ *                     translated to XPath (see source-adapters.js; workbooks are unpacked
+ *                     by xlsx-reader.js first)
+ *   csv             — CSV options: delimiter, headerRow
+ *   xlsx            — workbook options: tables (name → header range of plain-range tables)
  */
 
+import { normalizeUnit } from './unit-normalizer.js';
+import { parseNumber, resolveNumberFormat, extractUnitSuffix } from './number-parser.js';
+import { convertDate } from './date-parser.js';
+import { evaluateExpression } from './expression-evaluator.js';
+import { applyTransforms } from './text-transform.js';
+import { parseSourceDocument, translateSourcePath, describeSourceNode, workbookTree } from './source-adapters.js';
+
 /**
  * Convert an XML string to DCC-JSON using a mapping profile.
  * @param {string} xmlString - The source XML content
  * @param {object} profile - The mapping profile
+ * @param {object} [options] - { profiles } — saved profiles, for resolving `extends`
  * @returns {object} DCC-JSON structure
  */
-export function convertXmlToDccJson(xmlString, profile) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(xmlString, 'text/xml');
+export function convertXmlToDccJson(xmlString, profile, options = {}) {
+    return convertXmlToDccJsonWithReport(xmlString, profile, options).data;
+}
 
-    const parseError = doc.querySelector('parsererror');
-    if (parseError) {
-        throw new Error('XML parse error: ' + parseError.textContent.substring(0, 200));
+/**
+ * Convert an XML string to DCC-JSON and collect a per-rule diagnostics report.
+ * Every rule and nested array field gets one report entry (aggregated over all
+ * array items it was evaluated for), so rules that silently produced nothing
+ * on a new source file become visible.
+ * For profiles with a `documentSplit` this is the first certificate only; use
+ * convertXmlToDccDocuments to get all of them.
+ * @param {string} xmlString - The source XML content
+ * @param {object} profile - The mapping profile
+ * @param {object} [options] - { profiles } — saved profiles, for resolving `extends`
+ * @returns {{data: object, report: {entries: object[], unknownUnits: object[], summary: object}}}
+ */
+export function convertXmlToDccJsonWithReport(xmlString, profile, options = {}) {
+    return convertXmlToDccDocuments(xmlString, profile, options)[0];
+}
+
+/**
+ * Convert an XML string into one DCC-JSON document per certificate.
+ *
+ * Without `documentSplit` the whole file is one certificate. With
+ * `"documentSplit": "Calibrations/Calibration"` every matching node (searched
+ * from the document root) is converted on its own: top-level rules read
+ * relative to it, while rules with `"scope": "document"` still read from the
+ * document root — for data shared by all certificates, such as the laboratory.
+ * Each certificate gets its own report.
+ * @param {string} xmlString - The source XML content
+ * @param {object} profile - The mapping profile
+ * @param {object} [options] - { profiles } — saved profiles, for resolving `extends`
+ * @returns {{data: object, report: object}[]} In document order
+ * @throws {Error} if the XML cannot be parsed, the profile has invalid paths
+ *         (the error's `problems` lists them, see compileProfile) or the split
+ *         path matches nothing
+ */
+export function convertXmlToDccDocuments(xmlString, profile, options = {}) {
+    const steps = conversionSteps(xmlString, profile, options);
+    for (;;) {
+        const { done, value } = steps.next();
+        if (done) return value;
     }
+}
+
+/**
+ * Asynchronous variant of convertXmlToDccDocuments for large files. The
+ * conversion runs on the main thread in time slices of a few milliseconds and
+ * yields to the event loop in between, so the page stays responsive and can
+ * show progress; parsing the source is one uninterrupted step before that.
+ *
+ * With `worker: true` parsing and conversion run in a Web Worker instead
+ * (conversion-worker.js, with its own XML parser and XPath engine). If module
+ * workers are not available, the worker cannot be loaded or its parser rejects
+ * the source (an internal DTD subset, say), the conversion falls back to the
+ * main thread and the browser's DOMParser.
+ * @param {string} xmlString - The source XML content
+ * @param {object} profile - The mapping profile
+ * @param {object} [options] - { profiles, onProgress(fraction 0..1), signal (AbortSignal), cache, worker }
+ * @returns {Promise<{data: object, report: object}[]>}
+ */
+export async function convertXmlToDccDocumentsAsync(xmlString, profile, options = {}) {
+    const { onProgress, signal } = options;
+    signal?.throwIfAborted();
+    onProgress?.(0);
 
-    const result = {};
+    const worker = options.worker === true && startConversionWorker();
+    if (worker) return convertInWorker(worker, xmlString, profile, options);
 
-    for (const rule of profile.mappings) {
-        try {
-            applyRule(doc, doc.documentElement, rule, result);
-        } catch (e) {
-            console.warn(`Mapping rule failed for "${rule.target}":`, e.message);
+    await nextTick();
+    const steps = conversionSteps(xmlString, profile, options);
+    let sliceStart = performance.now();
+    for (;;) {
+        signal?.throwIfAborted();
+        const { done, value } = steps.next();
+        if (done) {
+            onProgress?.(1);
+            return value;
+        }
+        if (performance.now() - sliceStart >= TIME_SLICE_MS) {
+            onProgress?.(value);
+            await nextTick();
+            sliceStart = performance.now();
         }
     }
+}
 
-    return result;
+/**
+ * Flatten a profile's inheritance chain and fragment includes into one plain profile.
+ *
+ * `extends` names a base profile (by id or name) whose options and rules are
+ * inherited, recursively. Object-valued options (unitAliases, namespaces,
+ * fragments) are merged key by key, all others are replaced. A child rule with
+ * the same target as an inherited rule replaces it in place (array rules as a
+ * whole), `{ "target": "...", "omit": true }` drops it, and other rules are
+ * appended.
+ *
+ * `fragments` maps names to reusable rule lists. A rule
+ * `{ "type": "fragment", "name": "addressBlock", "target": "customer.address" }`
+ * — at top level or among array fields — is replaced by the fragment's rules
+ * with their targets prefixed by `target` (no prefix without one). With a
+ * `source` (e.g. "Customer") the included rules read relative to that element,
+ * so one address block serves laboratory and customer alike. Fragments may
+ * include other fragments and are looked up after merging, so a child profile
+ * can redefine a fragment its base profile uses.
+ *
+ * @param {object} profile
+ * @param {object[]} [profiles] - Candidate base profiles
+ * @returns {object} Resolved profile without `extends` and fragment rules
+ * @throws {Error} for missing base profiles or fragments and for cycles
+ */
+export function resolveProfile(profile, profiles = []) {
+    const chain = [profile];
+    for (let current = profile; current.extends != null && current.extends !== '';) {
+        const base = profiles.find(p => p.id === current.extends)
+            || profiles.find(p => p.name === current.extends);
+        if (!base) throw new Error(`Base profile "${current.extends}" of "${profileLabel(current)}" not found`);
+        if (chain.some(p => p === base || (p.id && p.id === base.id))) {
+            throw new Error(`Profile inheritance cycle: ${[...chain, base].map(profileLabel).join(' → ')}`);
+        }
+        chain.push(base);
+        current = base;
+    }
+
+    let merged = { mappings: [] };
+    for (const p of chain.reverse()) merged = mergeProfiles(merged, p);
+
+    merged.mappings = expandFragments(merged.mappings, merged.fragments || {}, []);
+    return merged;
+}
+
+/**
+ * Compile a profile into an execution plan: every source path it uses (rule and
+ * array sources, `sources`, expression `variables`, `when` conditions, `else`
+ * branches, columns, ref indices, fragment contexts and the document split) is
+ * translated to XPath and compiled with document.createExpression once.
+ * Conversions do this themselves and refuse to start if any path is invalid;
+ * call it directly to check a profile before there is a file to convert.
+ * @param {object} profile
+ * @param {object} [options] - { profiles, doc } — doc is the source document;
+ *        without one, "xpath:" paths may use any namespace prefix and only
+ *        their syntax is checked
+ * @returns {{profile: object, expressions: Map, sourceLabels: Map, problems: {target: string, source: string, xpath: string, message: string}[]}}
+ *          The resolved profile (JSON/CSV paths translated to XPath), compiled
+ *          expressions by path, translated → original paths, and the paths
+ *          that did not compile
+ */
+export function compileProfile(profile, options = {}) {
+    return buildPlan(resolveProfile(profile, options.profiles), options.doc ?? null);
 }
 
 /**
@@ -71,15 +261,31 @@ export function detectProfile(xmlString, profiles) {
  * @returns {object|null} Tree structure with paths
  */
 export function parseXmlToTree(xmlString) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(xmlString, 'text/xml');
-    if (doc.querySelector('parsererror')) return null;
-    return buildTreeNode(doc.documentElement, '');
+    return parseSourceToTree(xmlString, 'xml');
+}
+
+/**
+ * Parse a source file of any supported format into a tree for UI display.
+ * Node paths are written in the format's own path syntax.
+ * @param {string} text
+ * @param {string} [format] - "xml" (default), "json", "csv" or "xlsx"
+ * @param {object} [options] - { csv, xlsx } — source options of the profile
+ * @returns {object|null} Tree structure with paths, or null if the text does not parse
+ */
+export function parseSourceToTree(text, format = 'xml', options = {}) {
+    let doc;
+    try {
+        doc = parseSourceDocument(text, format, options);
+    } catch {
+        return null;
+    }
+    if (format === 'xlsx') return workbookTree(doc);
+    return buildTreeNode(doc.documentElement, '', format || 'xml');
 }
 
 /**
  * Flatten a tree into a list of all unique paths (elements + attributes).
- * @param {object} tree - from parseXmlToTree
+ * @param {object} tree - from parseXmlToTree or parseSourceToTree
  * @returns {string[]} Sorted list of XPath-like paths
  */
 export function flattenXmlPaths(tree) {
@@ -92,9 +298,10 @@ export function flattenXmlPaths(tree) {
 // Internal: Tree building
 // ============================================================
 
-function buildTreeNode(el, parentPath) {
-    const name = el.localName;
-    const path = parentPath ? `${parentPath}/${name}` : name;
+function buildTreeNode(el, parentPath, format) {
+    const { name, path } = format === 'xml'
+        ? { name: el.localName, path: parentPath ? `${parentPath}/${el.localName}` : el.localName }
+        : describeSourceNode(format, el, parentPath);
     const node = {
         name,
         path,
@@ -128,7 +335,7 @@ function buildTreeNode(el, parentPath) {
     // Group child elements by local name to detect repeating elements
     const childMap = new Map();
     for (const child of childElements) {
-        const childNode = buildTreeNode(child, path);
+        const childNode = buildTreeNode(child, path, format);
         const existing = childMap.get(child.localName);
         if (existing) {
             existing.count++;
@@ -169,51 +376,801 @@ function collectPaths(node, paths) {
     paths.add(node.path);
 }
 
+// ============================================================
+// Internal: Conversion steps
+// ============================================================
+
+const TIME_SLICE_MS = 30;
+
+/**
+ * The whole conversion as a generator: it yields the fraction done (0..1) after
+ * every rule and array item, and returns one { data, report } per certificate.
+ * The compiled execution plan is shared by all certificates of the file;
+ * `options.cache === false` compiles every query anew instead and disables the
+ * element cache (for benchmarks).
+ */
+function* conversionSteps(xmlString, profile, options) {
+    profile = resolveProfile(profile, options.profiles);
+    const doc = parseSourceDocument(xmlString, profile.sourceFormat, profile);
+
+    const plan = buildPlan(profile, doc);
+    if (plan.problems.length > 0) throw invalidPathsError(plan.problems);
+    profile = plan.profile;
+
+    const caching = options.cache !== false;
+    const shared = { expressions: caching ? plan.expressions : null, caching, sourceLabels: plan.sourceLabels };
+    const roots = profile.documentSplit ? splitDocument(doc, profile, shared) : [doc.documentElement];
+    const rules = profile.mappings;
+    const documents = [];
+
+    for (const [d, root] of roots.entries()) {
+        const result = {};
+        const run = createRun(doc, profile, result, shared);
+        const progress = (fraction) => (d + fraction / Math.max(rules.length, 1)) / roots.length;
+
+        for (const [i, rule] of rules.entries()) {
+            try {
+                const context = rule.scope === 'document' ? doc.documentElement : root;
+                for (const fraction of applyRule(run, context, rule, result)) {
+                    yield progress(i + fraction);
+                }
+            } catch (e) {
+                reportEntry(run, rule, rule.target).errors.push(e.message);
+                console.warn(`Mapping rule failed for "${rule.target}":`, e.message);
+            }
+            yield progress(i + 1);
+        }
+
+        documents.push({ data: result, report: buildReport(run) });
+    }
+    return documents;
+}
+
+function splitDocument(doc, profile, shared) {
+    const splitRun = createRun(doc, profile, {}, shared);
+    splitRun.trace = { nodeCount: 0, raws: [], errors: [], warnings: [] };
+    const nodes = findElements(splitRun, doc.documentElement, profile.documentSplit);
+    if (splitRun.trace.errors.length > 0) throw new Error(splitRun.trace.errors[0]);
+    if (nodes.length === 0) {
+        const label = shared.sourceLabels.get(profile.documentSplit) ?? profile.documentSplit;
+        throw new Error(`Document split "${label}" matched no elements`);
+    }
+    return nodes;
+}
+
+/**
+ * Run a nested step generator, reporting a fixed fraction for each of its steps.
+ */
+function* withProgress(steps, fraction) {
+    for (;;) {
+        const { done, value } = steps.next();
+        if (done) return value;
+        yield fraction;
+    }
+}
+
+function nextTick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ============================================================
+// Internal: Web Worker
+// ============================================================
+
+function startConversionWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new Worker(new URL('./conversion-worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Run a conversion in the worker and settle with its result. Aborting
+ * terminates the worker. If the worker fails before its first message (its
+ * script could not be loaded, say) or its parser rejects the source, the
+ * conversion runs on the main thread.
+ */
+function convertInWorker(worker, xmlString, profile, options) {
+    const { onProgress, signal } = options;
+    const onMainThread = () => convertXmlToDccDocumentsAsync(xmlString, profile, { ...options, worker: false });
+    return new Promise((resolve, reject) => {
+        let started = false;
+        const finish = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', abort);
+        };
+        const abort = () => {
+            finish();
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', abort);
+
+        worker.onmessage = ({ data }) => {
+            started = true;
+            if (data.type === 'progress') {
+                onProgress?.(data.fraction);
+                return;
+            }
+            finish();
+            if (data.type === 'result') {
+                resolve(data.documents);
+            } else if (data.parseFailed) {
+                resolve(onMainThread());
+            } else {
+                const error = new Error(data.message);
+                if (data.problems) error.problems = data.problems;
+                reject(error);
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish();
+            if (started) reject(new Error(`Conversion worker failed: ${event.message}`));
+            else resolve(onMainThread());
+        };
+
+        worker.postMessage({ xmlString, profile, options: { profiles: options.profiles, cache: options.cache } });
+    });
+}
+
+// ============================================================
+// Internal: Execution plan
+// ============================================================
+
+/**
+ * Compile all paths of a resolved profile. Paths are compiled for the context
+ * they are evaluated in: top-level rules read from the document root unless the
+ * document is split, everything inside arrays, fragment contexts and ref
+ * targets reads relative to an element. Queries in any other context are
+ * compiled on first use (see compiledXPath).
+ *
+ * Paths of JSON and CSV profiles are translated to XPath on the way; the plan's
+ * profile carries the translated paths and `sourceLabels` maps them back for
+ * the report.
+ */
+function buildPlan(profile, doc) {
+    // compiledXPath reads the document, profile and resolver from its first argument
+    const plan = {
+        doc: doc ?? new DOMParser().parseFromString('<plan/>', 'text/xml'),
+        profile,
+        expressions: new Map(),
+        namespaceResolver: doc ? null : anyPrefixResolver(profile),
+        sourceLabels: new Map(), // translated path → path as written in the profile
+        problems: [],
+        failedPaths: new Set(),
+    };
+    const planned = { ...profile };
+    if (profile.documentSplit) planned.documentSplit = planPath(plan, profile.documentSplit, true, 'documentSplit');
+    planned.mappings = (profile.mappings || []).map(rule =>
+        planRule(plan, rule, !profile.documentSplit || rule.scope === 'document', rule.target));
+    return { profile: planned, expressions: plan.expressions, sourceLabels: plan.sourceLabels, problems: plan.problems };
+}
+
+/**
+ * Compile the paths of one rule; returns the rule with translated paths.
+ */
+function planRule(plan, rule, atRoot, path) {
+    const planned = { ...rule };
+    if (rule.context) {
+        planned.context = planPath(plan, rule.context, atRoot, path);
+        atRoot = false;
+    }
+    const planSource = (source) => planPath(plan, source, atRoot, path);
+    if (rule.source != null) planned.source = planSource(rule.source);
+    if (rule.sources) planned.sources = rule.sources.map(planSource);
+    if (rule.variables) planned.variables = mapValues(rule.variables, planSource);
+    if (rule.columns) {
+        planned.columns = mapValues(rule.columns, column =>
+            (typeof column === 'string' ? planSource(column) : { ...column, source: planSource(column.source) }));
+    }
+    if (rule.when) planned.when = planCondition(plan, rule.when, atRoot, path);
+    if (rule.else) planned.else = planRule(plan, rule.else, atRoot, path);
+
+    if (rule.index) {
+        planned.index = { ...rule.index, nodes: planPath(plan, rule.index.nodes, true, path) };
+        if (rule.index.key != null) planned.index.key = planPath(plan, rule.index.key, false, path);
+    }
+    if (rule.field) planned.field = planRule(plan, rule.field, false, path);
+    if (rule.fields) planned.fields = rule.fields.map(field => planRule(plan, field, false, `${path}.${field.target}`));
+    return planned;
+}
+
+function planCondition(plan, cond, atRoot, path) {
+    if (Array.isArray(cond)) return cond.map(c => planCondition(plan, c, atRoot, path));
+    const planned = { ...cond };
+    if (cond.all) planned.all = cond.all.map(c => planCondition(plan, c, atRoot, path));
+    if (cond.any) planned.any = cond.any.map(c => planCondition(plan, c, atRoot, path));
+    if (cond.source != null) planned.source = planPath(plan, cond.source, atRoot, path);
+    return planned;
+}
+
+/**
+ * Translate and compile one source path; returns the path to use at run time.
+ */
+function planPath(plan, source, fromRoot, target) {
+    if (typeof source !== 'string') return source;
+    let translated;
+    try {
+        translated = translateSourcePath(source, plan.profile.sourceFormat);
+    } catch (e) {
+        plan.problems.push({ target, source, xpath: null, message: e.message });
+        return source;
+    }
+    if (translated !== source) plan.sourceLabels.set(translated, source);
+
+    const path = queriedPath(translated);
+    if (!path) return translated;
+    const { xpath, error } = compiledXPath(plan, path, fromRoot);
+    // Report a failing path once, however many rules use it
+    const key = expressionKey(path, fromRoot);
+    if (error && !plan.failedPaths.has(key)) {
+        plan.failedPaths.add(key);
+        plan.problems.push({ target, source, xpath, message: error });
+    }
+    return translated;
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * The element path a source reads from ("Point/@unit" → "Point"), or null if
+ * it reads the context element itself.
+ */
+function queriedPath(source) {
+    if (typeof source !== 'string' || source === '' || source === '.') return null;
+    if (isRawXPath(source)) return source;
+    if (source.startsWith('@')) return null;
+    const elPath = source.split('/@')[0];
+    return elPath === '.' ? null : elPath;
+}
+
+/**
+ * Resolver for checking "xpath:" syntax without a source document: the
+ * profile's bindings, and a placeholder namespace for every other prefix.
+ */
+function anyPrefixResolver(profile) {
+    const bindings = profile.namespaces || {};
+    return { lookupNamespaceURI: (prefix) => bindings[prefix] ?? `urn:unresolved:${prefix}` };
+}
+
+function invalidPathsError(problems) {
+    const list = problems.map(p => `${p.target}: "${p.source}" (${p.message})`).join('; ');
+    const error = new Error(`Profile has ${problems.length} invalid path${problems.length === 1 ? '' : 's'}: ${list}`);
+    error.problems = problems;
+    return error;
+}
+
+// ============================================================
+// Internal: Profile inheritance & fragments
+// ============================================================
+
+const MERGED_PROFILE_OPTIONS = ['unitAliases', 'namespaces', 'fragments'];
+
+function mergeProfiles(base, child) {
+    const merged = { ...base, ...child };
+    for (const key of MERGED_PROFILE_OPTIONS) {
+        if (base[key] || child[key]) merged[key] = { ...base[key], ...child[key] };
+    }
+    merged.mappings = mergeRules(base.mappings || [], child.mappings || []);
+    delete merged.extends;
+    return merged;
+}
+
+function mergeRules(baseRules, childRules) {
+    const rules = baseRules.slice();
+    for (const rule of childRules) {
+        const idx = rules.findIndex(r => ruleKey(r) === ruleKey(rule));
+        if (rule.omit) {
+            if (idx >= 0) rules.splice(idx, 1);
+        } else if (idx >= 0) {
+            rules[idx] = rule;
+        } else {
+            rules.push(rule);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Identity of a rule for overriding: its target, or fragment name plus prefix.
+ */
+function ruleKey(rule) {
+    return rule.type === 'fragment' ? `fragment:${rule.name}@${rule.target || ''}` : rule.target;
+}
+
+function expandFragments(rules, fragments, including) {
+    const expanded = [];
+    for (const rule of rules) {
+        if (rule.omit) continue;
+        if (rule.type === 'fragment') {
+            if (!Object.hasOwn(fragments, rule.name)) throw new Error(`Unknown fragment "${rule.name}"`);
+            if (including.includes(rule.name)) {
+                throw new Error(`Fragment cycle: ${[...including, rule.name].join(' → ')}`);
+            }
+            for (const inner of expandFragments(fragments[rule.name], fragments, [...including, rule.name])) {
+                const included = { ...inner };
+                if (rule.target) included.target = `${rule.target}.${inner.target}`;
+                if (rule.source) included.context = inner.context ? `${rule.source}/${inner.context}` : rule.source;
+                expanded.push(included);
+            }
+        } else if (rule.type === 'array' && rule.fields) {
+            expanded.push({ ...rule, fields: expandFragments(rule.fields, fragments, including) });
+        } else {
+            expanded.push(rule);
+        }
+    }
+    return expanded;
+}
+
+function profileLabel(profile) {
+    return profile.name || profile.id || '(unsaved profile)';
+}
+
+// ============================================================
+// Internal: Conversion run & diagnostics
+// ============================================================
+
+/**
+ * State shared by all rules of one conversion: the source document, the
+ * profile, the objects being built and the diagnostics collected so far.
+ */
+function createRun(doc, profile, result, shared = {}) {
+    return {
+        doc,
+        profile,
+        // objects under construction, outermost first: the result, then one per
+        // enclosing array item — expressions resolve sibling fields against them
+        scopes: [{ values: result, fields: profile.mappings }],
+        entries: new Map(), // report path → entry
+        trace: null,        // resolution stats of the value currently being extracted
+        unknownUnits: new Map(), // unit string → Set of report paths
+        namespaceResolver: null, // built on first "xpath:" path
+        indices: new Map(),      // "nodes|key" → ID index for ref rules, built on first use
+        numberFormat: resolveNumberFormat(profile.numberFormat),
+        expressions: shared.expressions ?? null, // path → compiled XPathExpression, from the plan (null: compile per call)
+        elementCache: shared.caching === false ? null : new WeakMap(), // context → Map(path → query result)
+        sourceLabels: shared.sourceLabels ?? new Map(), // translated JSON/CSV path → path as written
+    };
+}
+
+function reportEntry(run, rule, path) {
+    let entry = run.entries.get(path);
+    if (!entry) {
+        entry = {
+            target: path,
+            source: describeSource(rule, run.sourceLabels),
+            type: rule.type || 'string',
+            evaluations: 0,
+            matched: 0,     // evaluations where the source path hit at least one node
+            nodeCount: 0,   // total nodes hit over all evaluations
+            produced: 0,    // evaluations that yielded a non-null value
+            skipped: 0,     // evaluations skipped because `when` failed without `else`
+            raw: null,      // first raw value seen
+            value: null,    // first converted value seen
+            errors: [],
+            warnings: [],
+        };
+        run.entries.set(path, entry);
+    }
+    return entry;
+}
+
+/**
+ * Record what a path resolution hit, for the value currently being traced.
+ */
+function describeSource(rule, labels) {
+    const label = (path) => labels.get(path) ?? path;
+    if (rule.context) {
+        const source = describeSource({ ...rule, context: undefined }, labels);
+        return source == null ? label(rule.context) : `${label(rule.context)} → ${source}`;
+    }
+    if (rule.columns) {
+        const columns = Object.values(rule.columns).map(c => label(typeof c === 'string' ? c : c.source)).join(', ');
+        return rule.source ? `${label(rule.source)}: ${columns}` : columns;
+    }
+    if (rule.source != null) return label(rule.source);
+    return rule.sources ? rule.sources.map(label).join(', ') : rule.expression ?? null;
+}
+
+function noteResolution(run, nodeCount, raw) {
+    const trace = run.trace;
+    if (!trace) return;
+    trace.nodeCount += nodeCount;
+    if (raw != null && raw !== '') trace.raws.push(raw);
+}
+
+function noteError(run, message) {
+    if (run.trace) run.trace.errors.push(message);
+}
+
+function noteWarning(run, message) {
+    if (run.trace) run.trace.warnings.push(message);
+}
+
+const MAX_REPORTED_ERRORS = 10;
+
+function addMessages(list, messages) {
+    for (const msg of messages) {
+        if (list.length >= MAX_REPORTED_ERRORS) return;
+        if (!list.includes(msg)) list.push(msg);
+    }
+}
+
+/**
+ * Extract a scalar value for a rule and record it in the report.
+ * Errors are recorded instead of thrown, so one bad field does not drop
+ * the whole array item it belongs to.
+ */
+function evaluateField(run, context, field, path) {
+    const entry = reportEntry(run, field, path);
+    entry.evaluations++;
+
+    const outerTrace = run.trace;
+    const trace = { path, nodeCount: 0, raws: [], errors: [], warnings: [] };
+    run.trace = trace;
+
+    let val = null;
+    try {
+        val = extractValue(run, context, field);
+    } catch (e) {
+        trace.errors.push(e.message);
+        val = null;
+    } finally {
+        run.trace = outerTrace;
+    }
+
+    if (trace.nodeCount > 0) entry.matched++;
+    entry.nodeCount += trace.nodeCount;
+    if (entry.raw == null && trace.raws.length > 0) {
+        entry.raw = trace.raws.length === 1 ? trace.raws[0] : trace.raws;
+    }
+    if (val != null) {
+        entry.produced++;
+        if (entry.value == null) entry.value = val;
+    }
+    addMessages(entry.errors, trace.errors);
+    addMessages(entry.warnings, trace.warnings);
+
+    return val;
+}
+
+/**
+ * Elements an array rule iterates over: the nodes matching its source, or one
+ * synthetic row element per position for column-oriented rules.
+ */
+function evaluateArrayItems(run, context, rule, path) {
+    return rule.columns ? evaluateColumnRows(run, context, rule, path) : evaluateArraySource(run, context, rule, path);
+}
+
+/**
+ * Resolve the element set of an array rule and record it in the report.
+ */
+function evaluateArraySource(run, context, rule, path) {
+    const entry = reportEntry(run, rule, path);
+    entry.evaluations++;
+
+    const outerTrace = run.trace;
+    run.trace = { path, nodeCount: 0, raws: [], errors: [], warnings: [] };
+    const elements = findElements(run, context, rule.source);
+    addMessages(entry.errors, run.trace.errors);
+    run.trace = outerTrace;
+
+    if (elements.length > 0) {
+        entry.matched++;
+        entry.produced++;
+    }
+    entry.nodeCount += elements.length;
+    return elements;
+}
+
+/**
+ * Build the rows of a column-oriented array rule and record them in the report.
+ */
+function evaluateColumnRows(run, context, rule, path) {
+    const entry = reportEntry(run, rule, path);
+    entry.evaluations++;
+
+    const outerTrace = run.trace;
+    const trace = { path, nodeCount: 0, raws: [], errors: [], warnings: [] };
+    run.trace = trace;
+
+    const rows = [];
+    try {
+        const containers = rule.source ? findElements(run, context, rule.source) : [context];
+        for (const container of containers) {
+            rows.push(...zipColumns(run, container, rule));
+        }
+    } catch (e) {
+        trace.errors.push(e.message);
+    } finally {
+        run.trace = outerTrace;
+    }
+
+    if (trace.nodeCount > 0) entry.matched++;
+    if (rows.length > 0) entry.produced++;
+    entry.nodeCount += rows.length;
+    addMessages(entry.errors, trace.errors);
+    addMessages(entry.warnings, trace.warnings);
+    return rows;
+}
+
+function buildReport(run) {
+    const entries = Array.from(run.entries.values());
+    const summary = { total: entries.length, ok: 0, warning: 0, empty: 0, unmatched: 0, skipped: 0, failed: 0 };
+
+    for (const entry of entries) {
+        if (entry.errors.length > 0) entry.status = 'error';
+        else if (entry.warnings.length > 0) entry.status = 'warning';
+        else if (entry.produced > 0) entry.status = 'ok';
+        else if (entry.matched > 0) entry.status = 'empty';
+        else if (entry.skipped > 0 && entry.skipped === entry.evaluations) entry.status = 'skipped';
+        else entry.status = 'unmatched';
+
+        if (entry.status === 'error') summary.failed++;
+        else summary[entry.status]++;
+    }
+
+    const unknownUnits = Array.from(run.unknownUnits, ([unit, paths]) => ({ unit, targets: Array.from(paths) }));
+
+    return { entries, unknownUnits, summary };
+}
+
 // ============================================================
 // Internal: Rule application
 // ============================================================
 
-function applyRule(doc, context, rule, target) {
+/**
+ * Apply one top-level rule. A generator: yields the fraction of its array items
+ * done, so long conversions can pause between items.
+ */
+function* applyRule(run, context, baseRule, target) {
+    context = ruleContext(run, context, baseRule, baseRule.target);
+    if (!context) return;
+
+    const rule = selectBranch(run, context, baseRule, baseRule.target);
+    if (!rule) return;
+
     if (rule.type === 'array') {
-        const elements = findElements(doc, context, rule.source);
+        const elements = evaluateArrayItems(run, context, rule, rule.target);
         const arr = [];
 
-        for (const el of elements) {
-            const item = processArrayFields(doc, el, rule.fields);
+        for (const [i, el] of elements.entries()) {
+            const item = yield* withProgress(processArrayFields(run, el, rule.fields, rule.target), i / elements.length);
             arr.push(item);
+            yield (i + 1) / elements.length;
         }
 
         setNested(target, rule.target.replace('[]', ''), arr);
     } else {
-        const val = extractValue(doc, context, rule);
+        const val = evaluateField(run, context, rule, rule.target);
         if (val != null) setNested(target, rule.target, val);
     }
 }
 
 /**
  * Recursively process fields within an array element.
- * Supports unlimited nesting depth.
+ * Supports unlimited nesting depth. `parentPath` is the report path of the
+ * enclosing array (e.g. "measurementResults[].results[]"). A generator that
+ * yields after every nested array item and returns the item object.
  */
-function processArrayFields(doc, parentEl, fields) {
+function* processArrayFields(run, parentEl, fields, parentPath) {
     const item = {};
-    for (const field of (fields || [])) {
-        if (field.type === 'array') {
-            // Nested array — recurse
-            const elements = findElements(doc, parentEl, field.source);
-            const arr = [];
-            for (const el of elements) {
-                arr.push(processArrayFields(doc, el, field.fields));
+    run.scopes.push({ values: item, fields: fields || [] });
+    try {
+        for (const baseField of (fields || [])) {
+            const path = `${parentPath}.${baseField.target}`;
+            const context = ruleContext(run, parentEl, baseField, path);
+            if (!context) continue;
+            const field = selectBranch(run, context, baseField, path);
+            if (!field) continue;
+
+            if (field.type === 'array') {
+                // Nested array — recurse
+                const elements = evaluateArrayItems(run, context, field, path);
+                const arr = [];
+                for (const el of elements) {
+                    arr.push(yield* processArrayFields(run, el, field.fields, path));
+                    yield;
+                }
+                item[field.target.replace('[]', '')] = arr;
+            } else {
+                const val = evaluateField(run, context, field, path);
+                if (val != null) setArrayField(item, field.target, val);
             }
-            item[field.target.replace('[]', '')] = arr;
-        } else {
-            const val = extractValue(doc, parentEl, field);
-            if (val != null) item[field.target] = val;
         }
+    } finally {
+        run.scopes.pop();
     }
     return item;
 }
 
-function extractValue(doc, context, field) {
+/**
+ * Store an array-field value. Targets are flat keys ("a.b" stays one key),
+ * except the per-point tolerance spec ("tolerance.absolute"), which nests
+ * into a `tolerance` object for the generator.
+ */
+function setArrayField(item, target, value) {
+    if (target.startsWith('tolerance.')) setNested(item, target, value);
+    else item[target] = value;
+}
+
+/**
+ * Element a rule reads from: the given context, or for rules included from a
+ * fragment with a `source`, the element at that path (null, and counted as an
+ * unmatched evaluation, if it does not exist).
+ */
+function ruleContext(run, context, rule, path) {
+    if (!rule.context) return context;
+    const scoped = findFirst(run, context, rule.context);
+    if (!scoped) reportEntry(run, rule, path).evaluations++;
+    return scoped;
+}
+
+// ============================================================
+// Internal: Column-oriented sources (pivot)
+// ============================================================
+
+/**
+ * Turn parallel lists into rows. Each entry of `rule.columns` maps a column name
+ * to a source path (or { source, split }); the values of all matching nodes,
+ * each split by `split` ("whitespace" or a literal delimiter such as ","), form
+ * the column. Row i gets the i-th value of every column as a child element named
+ * after the column, so array fields read it with a plain path ("setPoint").
+ * Single-value columns (a shared unit, say) are repeated on every row.
+ *
+ *   { "target": "results[]", "type": "array",
+ *     "columns": { "setPoint": "SetPoints", "measuredValue": "Readings", "unit": "SetPoints/@unit" },
+ *     "split": "whitespace", "fields": [...] }
+ */
+function zipColumns(run, container, rule) {
+    const columns = Object.entries(rule.columns).map(([name, spec]) => {
+        if (!/^[A-Za-z_][\w.-]*$/.test(name)) throw new Error(`Invalid column name "${name}" (must be an XML element name)`);
+        const { source, split } = typeof spec === 'string' ? { source: spec, split: rule.split } : { split: rule.split, ...spec };
+        const values = resolveAllValues(run, container, source).flatMap(value => splitCell(value, split));
+        return { name, values };
+    });
+
+    const listLengths = new Set(columns.map(c => c.values.length).filter(n => n > 1));
+    if (listLengths.size > 1) {
+        noteWarning(run, `Columns differ in length (${columns.map(c => `${c.name}: ${c.values.length}`).join(', ')}); missing cells are left empty`);
+    }
+
+    const rowCount = Math.max(0, ...columns.map(c => c.values.length));
+    const rows = [];
+    for (let i = 0; i < rowCount; i++) {
+        const row = run.doc.createElement('row');
+        for (const { name, values } of columns) {
+            const value = values.length === 1 ? values[0] : values[i];
+            if (value == null || value === '') continue;
+            const cell = run.doc.createElement(name);
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+function splitCell(value, split) {
+    if (value == null) return [];
+    const text = String(value);
+    if (!split) return [text.trim()];
+    if (split === 'whitespace') return text.split(/\s+/).filter(Boolean);
+    return text.split(split).map(part => part.trim());
+}
+
+// ============================================================
+// Internal: Conditions
+// ============================================================
+
+/**
+ * Pick the variant of a rule to apply: the rule itself if it has no `when` or the
+ * condition holds; otherwise its `else` branch merged onto the rule (which may
+ * carry its own when/else), or null if there is no branch left to try.
+ */
+function selectBranch(run, context, rule, path) {
+    if (!rule.when) return rule;
+
+    const outerTrace = run.trace;
+    const trace = { path, nodeCount: 0, raws: [], errors: [], warnings: [] };
+    run.trace = trace;
+
+    let current = rule;
+    try {
+        while (current && current.when && !testCondition(run, context, current.when)) {
+            if (current.else) {
+                const { when, else: otherwise, ...base } = current;
+                current = { ...base, ...otherwise, target: rule.target };
+            } else {
+                current = null;
+            }
+        }
+    } catch (e) {
+        trace.errors.push(`Condition failed: ${e.message}`);
+        current = null;
+    } finally {
+        run.trace = outerTrace;
+    }
+
+    if (!current || trace.errors.length > 0) {
+        const entry = reportEntry(run, rule, path);
+        if (!current) {
+            entry.evaluations++;
+            if (trace.errors.length === 0) entry.skipped++;
+        }
+        addMessages(entry.errors, trace.errors);
+    }
+    return current;
+}
+
+/**
+ * Test a condition against the context element.
+ *   { source }                       — path resolves to at least one node (same as exists: true)
+ *   { source, exists: false }        — path resolves to nothing
+ *   { source, equals: "x" | [...] }  — trimmed text equals (one of) the value(s)
+ *   { source, matches, flags }       — text matches the regular expression
+ *   { all: [...] } / { any: [...] }  — combinations; a plain array means all
+ * Any condition may add `not: true` to negate it.
+ */
+function testCondition(run, context, cond) {
+    if (Array.isArray(cond)) return cond.every(c => testCondition(run, context, c));
+
+    let result;
+    if (cond.all) {
+        result = cond.all.every(c => testCondition(run, context, c));
+    } else if (cond.any) {
+        result = cond.any.some(c => testCondition(run, context, c));
+    } else {
+        const { found, value } = conditionValue(run, context, cond.source);
+        if (cond.equals !== undefined) {
+            result = found && [].concat(cond.equals).map(String).includes(value);
+        } else if (cond.matches !== undefined) {
+            result = found && new RegExp(cond.matches, cond.flags || '').test(value);
+        } else {
+            result = found === (cond.exists ?? true);
+        }
+    }
+    return cond.not ? !result : result;
+}
+
+/**
+ * Whether a condition's source path exists, and the text of its first match.
+ */
+function conditionValue(run, context, source) {
+    if (!source || source === '.') {
+        return { found: true, value: textContent(context) ?? '' };
+    }
+
+    if (isRawXPath(source)) {
+        const { nodes, value } = evaluateRawXPath(run, context, source);
+        if (nodes) return { found: nodes.length > 0, value: nodes.length > 0 ? (textContent(nodes[0]) ?? '') : '' };
+        // boolean() / count() / string() results: true, non-zero and non-empty count as found
+        const found = typeof value === 'number' ? value !== 0 && !Number.isNaN(value) : !!value;
+        return { found, value: String(value) };
+    }
+
+    const attrIndex = source.lastIndexOf('@');
+    if (attrIndex === 0 || source.includes('/@')) {
+        const elPath = attrIndex === 0 ? '.' : source.substring(0, attrIndex - 1);
+        const attr = source.substring(attrIndex + 1);
+        const elements = elPath === '.' ? [context] : findElements(run, context, elPath);
+        const el = elements.find(e => e.hasAttribute(attr));
+        return { found: !!el, value: el ? el.getAttribute(attr).trim() : '' };
+    }
+
+    const elements = findElements(run, context, source);
+    return { found: elements.length > 0, value: elements.length > 0 ? (textContent(elements[0]) ?? '') : '' };
+}
+
+// ============================================================
+// Internal: Value extraction
+// ============================================================
+
+function extractValue(run, context, field) {
     const { source, type } = field;
 
     // --- Advanced types (no source needed) ---
@@ -221,90 +1178,149 @@ function extractValue(doc, context, field) {
         return field.value;
     }
     if (type === 'concat') {
-        return extractConcat(doc, context, field);
+        return transformed(field, extractConcat(run, context, field));
     }
     if (type === 'template') {
-        return extractTemplate(doc, context, field);
+        return transformed(field, extractTemplate(run, context, field));
     }
     if (type === 'lookup') {
-        return extractLookup(doc, context, field);
+        return extractLookup(run, context, field);
     }
     if (type === 'firstOf') {
-        return extractFirstOf(doc, context, field);
+        return transformed(field, extractFirstOf(run, context, field));
+    }
+    if (type === 'expression') {
+        return extractExpression(run, context, field);
+    }
+    if (AGGREGATE_TYPES.has(type)) {
+        return extractAggregate(run, context, field);
+    }
+    if (type === 'ref') {
+        return extractRef(run, context, field);
     }
 
     // --- Special DCC types ---
+    if ((type === 'asFoundAsLeft' || type === 'conformity') && field.map) {
+        return extractCategory(run, context, field);
+    }
     if (type === 'asFoundAsLeft') {
-        return extractAsFoundAsLeft(context);
+        return extractAsFoundAsLeft(context) ?? field.default ?? null;
     }
     if (type === 'conformity') {
-        return extractConformity(doc, context, source);
+        return extractConformity(run, context, source) ?? field.default ?? null;
     }
 
     if (!source) return null;
 
     // --- Resolve path to raw value ---
-    const raw = resolveRawValue(doc, context, source);
+    let raw = transformed(field, resolveRawValue(run, context, source));
     if (raw == null || raw === '') return null;
+    if (typeof raw === 'number') {
+        // Numeric result of an "xpath:" expression — no locale parsing
+        if (type === 'number' || type === 'integer') return checkXPathNumber(raw, type);
+        raw = String(raw);
+    }
 
     // --- Apply type conversion ---
     switch (type) {
-        case 'number': return parseFloat(raw);
-        case 'integer': return parseInt(raw, 10);
+        case 'number': return parseNumber(raw, numberFormatFor(run, field));
+        case 'integer': return parseInteger(raw, numberFormatFor(run, field));
         case 'boolean': return raw === 'true' || raw === '1';
-        case 'date': return dateTimeToDate(raw);
-        default: return raw; // string
+        case 'date': return convertDate(raw, dateOptionsFor(run, field), 'date');
+        case 'dateTime': return convertDate(raw, dateOptionsFor(run, field), 'dateTime');
+        case 'unit': return toDsiUnit(run, extractUnitSuffix(raw) ?? raw);
+        default:
+            // string — optionally normalise unit fields of existing profiles
+            if (run.profile.normalizeUnits && isUnitTarget(field.target)) return toDsiUnit(run, raw);
+            return raw;
     }
 }
 
 /**
- * Resolve a path to its raw string value.
+ * Resolve a path to its raw string value (text of the first matching node).
+ * Scalar "xpath:" results are returned as they are: a number for count(),
+ * sum() etc., "true"/"false" for boolean expressions.
  */
-function resolveRawValue(doc, context, source) {
+function resolveRawValue(run, context, source) {
     if (!source) return null;
 
+    if (isRawXPath(source)) {
+        const { nodes, value } = evaluateRawXPath(run, context, source);
+        if (nodes) {
+            const raw = nodes.length > 0 ? textContent(nodes[0]) : null;
+            noteResolution(run, nodes.length, raw);
+            return raw;
+        }
+        const raw = typeof value === 'boolean' ? String(value) : value;
+        noteResolution(run, 1, raw);
+        return raw;
+    }
+
     if (source === '.') {
-        return textContent(context);
+        const raw = textContent(context);
+        noteResolution(run, 1, raw);
+        return raw;
     }
 
     if (source.startsWith('@')) {
         // Attribute on current element
-        return context.getAttribute(source.substring(1));
+        const raw = context.getAttribute(source.substring(1));
+        noteResolution(run, raw != null ? 1 : 0, raw);
+        return raw;
     }
 
     if (source.includes('/@')) {
         // Path ending with attribute
         const parts = source.split('/@');
-        const el = parts[0] === '.' ? context : findFirst(doc, context, parts[0]);
-        return el ? el.getAttribute(parts[1]) : null;
+        const elements = parts[0] === '.' ? [context] : findElements(run, context, parts[0]);
+        const raw = elements.length > 0 ? elements[0].getAttribute(parts[1]) : null;
+        noteResolution(run, elements.filter(el => el.hasAttribute(parts[1])).length, raw);
+        return raw;
     }
 
-    const el = findFirst(doc, context, source);
-    return el ? textContent(el) : null;
+    const elements = findElements(run, context, source);
+    const raw = elements.length > 0 ? textContent(elements[0]) : null;
+    noteResolution(run, elements.length, raw);
+    return raw;
+}
+
+/**
+ * Apply the rule's transform chain, if any.
+ */
+function transformed(field, value) {
+    return field.transform ? applyTransforms(value, field.transform) : value;
+}
+
+/**
+ * resolveRawValue for extractors that work on text: numbers become strings.
+ */
+function resolveRawText(run, context, source) {
+    const raw = resolveRawValue(run, context, source);
+    return typeof raw === 'number' ? (Number.isNaN(raw) ? null : String(raw)) : raw;
 }
 
 // --- Advanced type extractors ---
 
-function extractConcat(doc, context, field) {
+function extractConcat(run, context, field) {
     const sources = field.sources || [];
     const separator = field.separator ?? ' ';
     const parts = [];
 
     for (const src of sources) {
-        const raw = resolveRawValue(doc, context, src);
+        const raw = resolveRawText(run, context, src);
         if (raw) parts.push(raw);
     }
 
     return parts.length > 0 ? parts.join(separator) : null;
 }
 
-function extractTemplate(doc, context, field) {
+function extractTemplate(run, context, field) {
     let result = field.template || '';
     const sources = field.sources || [];
     let hasValue = false;
 
     for (let i = 0; i < sources.length; i++) {
-        const raw = resolveRawValue(doc, context, sources[i]) || '';
+        const raw = resolveRawText(run, context, sources[i]) || '';
         if (raw) hasValue = true;
         result = result.replace(new RegExp(`\\{${i}\\}`, 'g'), raw);
     }
@@ -312,21 +1328,184 @@ function extractTemplate(doc, context, field) {
     return hasValue ? result.trim() : null;
 }
 
-function extractLookup(doc, context, field) {
-    const raw = resolveRawValue(doc, context, field.source);
+function extractLookup(run, context, field) {
+    const raw = transformed(field, resolveRawText(run, context, field.source));
     if (raw == null) return null;
     const map = field.map || {};
     return map[raw] ?? map[raw.toLowerCase()] ?? map['*'] ?? raw;
 }
 
-function extractFirstOf(doc, context, field) {
+function extractFirstOf(run, context, field) {
     for (const src of (field.sources || [])) {
-        const raw = resolveRawValue(doc, context, src);
+        const raw = resolveRawText(run, context, src);
         if (raw) return raw;
     }
     return null;
 }
 
+const AGGREGATE_TYPES = new Set(['count', 'sum', 'min', 'max', 'avg', 'distinctJoin']);
+
+/**
+ * Aggregate the values of all nodes matching `field.source` (relative to the
+ * context). count counts nodes; sum/min/max/avg parse each non-empty value with
+ * the rule's number format; distinctJoin joins the distinct non-empty values in
+ * document order with `field.separator` (default ", ").
+ */
+function extractAggregate(run, context, field) {
+    const values = resolveAllValues(run, context, field.source).map(v => transformed(field, v));
+    if (field.type === 'count') return values.length;
+
+    const texts = values.filter(v => v != null && v !== '');
+    if (texts.length === 0) return null;
+
+    if (field.type === 'distinctJoin') {
+        return Array.from(new Set(texts.map(String))).join(field.separator ?? ', ');
+    }
+
+    const format = numberFormatFor(run, field);
+    const numbers = texts.map(v => (typeof v === 'number' ? checkXPathNumber(v, 'number') : parseNumber(v, format)));
+    switch (field.type) {
+        case 'sum': return dropFloatNoise(numbers.reduce((a, b) => a + b, 0));
+        // reduce, not Math.min(...numbers): spreading large node sets overflows the stack
+        case 'min': return numbers.reduce((a, b) => (b < a ? b : a));
+        case 'max': return numbers.reduce((a, b) => (b > a ? b : a));
+        case 'avg': return dropFloatNoise(numbers.reduce((a, b) => a + b, 0) / numbers.length);
+    }
+    return null;
+}
+
+/**
+ * Cross-reference: read the key at `field.source` (after `transform`), find the
+ * node whose `index.key` equals it among `index.nodes` (searched from the
+ * document root), and extract `field.field` (default: its text as string)
+ * relative to that node.
+ *
+ *   { "target": "standardName", "type": "ref", "source": "@standardRef",
+ *     "index": { "nodes": "Standards/Standard", "key": "@id" },
+ *     "field": { "source": "Name", "type": "string" } }
+ */
+function extractRef(run, context, field) {
+    const key = transformed(field, resolveRawText(run, context, field.source));
+    if (key == null || key === '') return null;
+
+    const { nodes: nodesPath, key: keyPath = '@id' } = field.index || {};
+    if (!nodesPath) throw new Error('ref rule needs "index.nodes"');
+
+    const index = getIndex(run, nodesPath, keyPath);
+    const id = String(key).trim();
+    if (index.duplicates.has(id)) {
+        noteWarning(run, `Key "${id}" occurs more than once in ${nodesPath}; using the first`);
+    }
+    const node = index.byKey.get(id);
+    if (!node) {
+        noteWarning(run, `No ${nodesPath} with ${keyPath} = "${id}"`);
+        return null;
+    }
+
+    const inner = field.field || { source: '.' };
+    return extractValue(run, node, { type: 'string', ...inner, target: field.target });
+}
+
+/**
+ * ID index over a node-set, built once per conversion and shared by all ref
+ * rules with the same nodes/key paths.
+ */
+function getIndex(run, nodesPath, keyPath) {
+    const cacheKey = `${nodesPath}|${keyPath}`;
+    let index = run.indices.get(cacheKey);
+    if (!index) {
+        // Build outside the current rule's trace so index nodes are not counted as its matches
+        const outerTrace = run.trace;
+        const trace = { path: cacheKey, nodeCount: 0, raws: [], errors: [], warnings: [] };
+        run.trace = trace;
+        index = { byKey: new Map(), duplicates: new Set(), error: null };
+        try {
+            for (const node of findElements(run, run.doc.documentElement, nodesPath)) {
+                const key = resolveRawText(run, node, keyPath);
+                if (key == null || key === '') continue;
+                const id = String(key).trim();
+                if (index.byKey.has(id)) index.duplicates.add(id);
+                else index.byKey.set(id, node);
+            }
+        } finally {
+            run.trace = outerTrace;
+        }
+        if (trace.errors.length > 0) index.error = `Cannot build index ${nodesPath} by ${keyPath}: ${trace.errors[0]}`;
+        run.indices.set(cacheKey, index);
+    }
+    if (index.error) throw new Error(index.error);
+    return index;
+}
+
+/**
+ * Values of ALL nodes matching a path (resolveRawValue only takes the first).
+ */
+function resolveAllValues(run, context, source) {
+    if (!source) return [];
+
+    let values;
+    if (isRawXPath(source)) {
+        const { nodes, value } = evaluateRawXPath(run, context, source);
+        values = nodes ? nodes.map(textContent) : [value];
+    } else if (source === '.') {
+        values = [textContent(context)];
+    } else if (source.startsWith('@') || source.includes('/@')) {
+        const [elPath, attr] = source.startsWith('@') ? ['.', source.substring(1)] : source.split('/@');
+        const elements = elPath === '.' ? [context] : findElements(run, context, elPath);
+        values = elements.filter(el => el.hasAttribute(attr)).map(el => el.getAttribute(attr).trim());
+    } else {
+        values = findElements(run, context, source).map(textContent);
+    }
+
+    for (const value of values) noteResolution(run, 1, value);
+    return values;
+}
+
+/**
+ * Evaluate a formula. Identifiers are looked up in `field.variables` (name → source
+ * path relative to the context), then among the fields already mapped in the
+ * enclosing array items and the top-level result, innermost first.
+ */
+function extractExpression(run, context, field) {
+    const variables = field.variables || {};
+    const resolved = new Map();
+
+    const value = evaluateExpression(field.expression || '', (name) => {
+        if (Object.hasOwn(variables, name)) {
+            if (!resolved.has(name)) resolved.set(name, resolveVariable(run, context, field, variables[name]));
+            return resolved.get(name);
+        }
+        for (let i = run.scopes.length - 1; i >= 0; i--) {
+            const { values, fields } = run.scopes[i];
+            const val = getNested(values, name);
+            if (val !== undefined) return val;
+            // A declared field that produced no value (or comes later) is null, not unknown
+            if (fields.some(f => f.target === name)) return null;
+        }
+        return undefined;
+    });
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`Expression "${field.expression}" did not yield a finite number`);
+        return dropFloatNoise(value);
+    }
+    return value;
+}
+
+/**
+ * Source value of an expression variable: a number if it parses as one, else the text.
+ */
+function resolveVariable(run, context, field, source) {
+    const raw = resolveRawValue(run, context, source);
+    if (raw == null || raw === '') return null;
+    if (typeof raw === 'number') return Number.isNaN(raw) ? null : raw;
+    try {
+        return parseNumber(raw, numberFormatFor(run, field));
+    } catch {
+        return raw;
+    }
+}
+
 // --- Special DCC type extractors ---
 
 function extractAsFoundAsLeft(el) {
@@ -337,20 +1516,97 @@ function extractAsFoundAsLeft(el) {
     return null;
 }
 
-function extractConformity(doc, context, source) {
-    const el = (!source || source === '.') ? context : findFirst(doc, context, source);
+/**
+ * Configured category mapping: the value at `source` (text or attribute, like a
+ * string rule) is looked up in `map`, exactly and then case-insensitively.
+ * Missing or unlisted values yield `default`; unlisted ones without a default are
+ * reported. E.g. { source: "@Status", map: { AF: "asFound", AL: "asLeft" } }.
+ */
+function extractCategory(run, context, field) {
+    const raw = transformed(field, resolveRawText(run, context, field.source || '.'));
+    if (raw == null || raw === '') return field.default ?? null;
+
+    const value = raw.trim();
+    let category = field.map[value];
+    if (category === undefined) {
+        const lower = value.toLowerCase();
+        const key = Object.keys(field.map).find(k => k.toLowerCase() === lower);
+        if (key !== undefined) category = field.map[key];
+    }
+    if (category !== undefined) return category;
+
+    if (field.default === undefined) {
+        noteWarning(run, `Value "${value}" has no entry in the ${field.type} map`);
+        return null;
+    }
+    return field.default;
+}
+
+function extractConformity(run, context, source) {
+    const el = (!source || source === '.') ? context : findFirst(run, context, source);
     if (!el) return null;
     const val = el.getAttribute('isConform');
+    noteResolution(run, val != null ? 1 : 0, val);
     if (val === 'true') return 'pass';
     if (val === 'false') return 'fail';
     return null;
 }
 
-function dateTimeToDate(val) {
-    if (!val) return null;
-    // Handle "2024-08-09T14:35:13.094+02:00" → "2024-08-09"
-    const match = val.match(/^(\d{4}-\d{2}-\d{2})/);
-    return match ? match[1] : val;
+function numberFormatFor(run, field) {
+    return field.numberFormat
+        ? resolveNumberFormat(run.profile.numberFormat, field.numberFormat)
+        : run.numberFormat;
+}
+
+/**
+ * Drop binary floating-point noise from computed values: 10.2 - 10 → 0.2, not 0.1999999999999993.
+ */
+function dropFloatNoise(value) {
+    return Number(value.toPrecision(12));
+}
+
+function checkXPathNumber(value, type) {
+    if (!Number.isFinite(value)) throw new Error(`XPath result ${value} is not a finite number`);
+    if (type === 'integer' && !Number.isInteger(value)) {
+        throw new Error(`XPath result ${value} is not an integer`);
+    }
+    return value;
+}
+
+function parseInteger(raw, format) {
+    const value = parseNumber(raw, format);
+    if (!Number.isInteger(value)) {
+        throw new Error(`Cannot parse "${raw}" as an integer: has a fractional part`);
+    }
+    return value;
+}
+
+/**
+ * Normalise a unit string to D-SI; unknown units are kept as-is and reported.
+ */
+function toDsiUnit(run, raw) {
+    const { unit, known } = normalizeUnit(raw, run.profile.unitAliases);
+    if (!known && unit) {
+        noteWarning(run, `Unknown unit "${unit}" (not converted to D-SI)`);
+        if (run.trace) {
+            if (!run.unknownUnits.has(unit)) run.unknownUnits.set(unit, new Set());
+            run.unknownUnits.get(unit).add(run.trace.path);
+        }
+    }
+    return unit;
+}
+
+function isUnitTarget(target) {
+    return /(^|\.)unit$|Unit$/.test(target || '');
+}
+
+function dateOptionsFor(run, field) {
+    const { profile } = run;
+    return {
+        dateFormat: field.dateFormat ?? profile.dateFormat,
+        timezone: field.timezone ?? profile.timezone,
+        outputTimezone: field.outputTimezone ?? profile.outputTimezone,
+    };
 }
 
 function textContent(el) {
@@ -415,36 +1671,191 @@ function toXPath(path, fromRoot) {
     return xpathSteps.join('/');
 }
 
-function findElements(doc, context, path) {
-    const xpath = toXPath(path, context === doc.documentElement);
-    const result = [];
+function findElements(run, context, path) {
+    const cached = run.elementCache && cachedQueries(run, context);
+    let found = cached?.get(path);
+    if (!found) {
+        found = queryElements(run, context, path);
+        cached?.set(path, found);
+    }
+    if (found.error) noteError(run, found.error);
+    return found.nodes;
+}
+
+function findFirst(run, context, path) {
+    const cached = run.elementCache && cachedQueries(run, context)?.get(path);
+    if (cached) {
+        if (cached.error) noteError(run, cached.error);
+        return cached.nodes[0] ?? null;
+    }
+    if (isRawXPath(path)) return findElements(run, context, path)[0] ?? null;
+
+    const { expression, error } = compiledXPath(run, path, context === run.doc.documentElement);
+    try {
+        if (error) throw new Error(error);
+        return expression.evaluate(context, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    } catch (e) {
+        console.warn(`XPath evaluation failed for "${path}":`, e.message);
+        noteError(run, `XPath evaluation failed for "${path}": ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Evaluate a path to nodes: { nodes, error }. Does not touch the report, so
+ * the result can be cached and its error re-noted on every use.
+ */
+function queryElements(run, context, path) {
+    if (isRawXPath(path)) {
+        const outerTrace = run.trace;
+        run.trace = { nodeCount: 0, raws: [], errors: [], warnings: [] };
+        const { nodes, value } = evaluateRawXPath(run, context, path);
+        const error = run.trace.errors[0];
+        run.trace = outerTrace;
+        if (error) return { nodes: [], error };
+        if (nodes) return { nodes, error: null };
+        return { nodes: [], error: `XPath "${path}" returned ${typeof value} ${value}, not nodes` };
+    }
+
+    const { expression, error } = compiledXPath(run, path, context === run.doc.documentElement);
+    const nodes = [];
     try {
-        const xpathResult = doc.evaluate(xpath, context, null, XPathResult.ORDERED_NODE_ITERATOR_TYPE, null);
+        if (error) throw new Error(error);
+        const xpathResult = expression.evaluate(context, XPathResult.ORDERED_NODE_ITERATOR_TYPE, null);
         let node;
         while ((node = xpathResult.iterateNext())) {
-            result.push(node);
+            nodes.push(node);
         }
     } catch (e) {
-        console.warn(`XPath evaluation failed for "${xpath}":`, e.message);
+        console.warn(`XPath evaluation failed for "${path}":`, e.message);
+        return { nodes, error: `XPath evaluation failed for "${path}": ${e.message}` };
     }
-    return result;
+    return { nodes, error: null };
 }
 
-function findFirst(doc, context, path) {
-    const xpath = toXPath(path, context === doc.documentElement);
+/**
+ * Results of earlier queries on a context element. The source document does not
+ * change during a conversion, so a path always yields the same nodes there
+ * (e.g. "Value" for a condition and for the value itself, or "Point" for
+ * "Point/@setPoint" and "Point/@unit").
+ */
+function cachedQueries(run, context) {
+    let queries = run.elementCache.get(context);
+    if (!queries) {
+        queries = new Map();
+        run.elementCache.set(context, queries);
+    }
+    return queries;
+}
+
+/**
+ * XPathExpression for a path: { xpath, expression } or { xpath, error } if the
+ * expression does not compile (throws or yields no expression). Taken from the
+ * execution plan; paths queried in a context the plan did not foresee are
+ * compiled here and added to it. Failed compilations are never cached.
+ */
+function compiledXPath(run, path, fromRoot) {
+    const key = expressionKey(path, fromRoot);
+    const cached = run.expressions?.get(key);
+    if (cached) return cached;
+
+    const raw = isRawXPath(path);
+    const xpath = raw ? path.substring(RAW_XPATH_PREFIX.length).trim() : toXPath(path, fromRoot);
+    let expression;
     try {
-        const xpathResult = doc.evaluate(xpath, context, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-        return xpathResult.singleNodeValue;
+        expression = run.doc.createExpression(xpath, raw ? namespaceResolver(run) : null);
     } catch (e) {
-        console.warn(`XPath evaluation failed for "${xpath}":`, e.message);
-        return null;
+        return { xpath, error: e.message };
+    }
+    if (!expression) return { xpath, error: `XPath "${xpath}" could not be compiled` };
+    const compiled = { xpath, expression };
+    run.expressions?.set(key, compiled);
+    return compiled;
+}
+
+// Paths compile differently from the document root and from an element
+function expressionKey(path, fromRoot) {
+    return isRawXPath(path) ? path : `${fromRoot ? '/' : '.'}${path}`;
+}
+
+// ============================================================
+// Raw XPath passthrough
+// ============================================================
+
+const RAW_XPATH_PREFIX = 'xpath:';
+
+function isRawXPath(path) {
+    return typeof path === 'string' && path.startsWith(RAW_XPATH_PREFIX);
+}
+
+/**
+ * Evaluate an "xpath:" expression as written.
+ * @returns {{nodes: Node[]|null, value: number|string|boolean|null}} nodes in
+ *          document order for node-set results, otherwise the scalar value
+ */
+function evaluateRawXPath(run, context, path) {
+    const { xpath: expression, expression: compiled, error } = compiledXPath(run, path, false);
+    try {
+        if (error) throw new Error(error);
+        const result = compiled.evaluate(context, XPathResult.ANY_TYPE, null);
+        switch (result.resultType) {
+            case XPathResult.NUMBER_TYPE: return { nodes: null, value: result.numberValue };
+            case XPathResult.STRING_TYPE: return { nodes: null, value: result.stringValue };
+            case XPathResult.BOOLEAN_TYPE: return { nodes: null, value: result.booleanValue };
+        }
+        const nodes = [];
+        let node;
+        while ((node = result.iterateNext())) {
+            nodes.push(node);
+        }
+        // ANY_TYPE yields an unordered iterator
+        nodes.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        return { nodes, value: null };
+    } catch (e) {
+        console.warn(`XPath evaluation failed for "${expression}":`, e.message);
+        noteError(run, `XPath evaluation failed for "${expression}": ${e.message}`);
+        return { nodes: [], value: null };
     }
 }
 
+/**
+ * Namespace resolver for "xpath:" paths: every prefix declared anywhere in the
+ * source document, the root's default namespace as "default", and the profile's
+ * own `namespaces` bindings (which take precedence). Built once per conversion.
+ */
+function namespaceResolver(run) {
+    if (run.namespaceResolver) return run.namespaceResolver;
+
+    const bindings = {};
+    const root = run.doc.documentElement;
+    const defaultNamespace = root.getAttribute('xmlns') || (!root.prefix && root.namespaceURI);
+    if (defaultNamespace) bindings.default = defaultNamespace;
+    for (const el of [root, ...root.getElementsByTagName('*')]) {
+        for (const attr of el.attributes) {
+            if (attr.name.startsWith('xmlns:') && !(attr.localName in bindings)) {
+                bindings[attr.localName] = attr.value;
+            }
+        }
+    }
+    Object.assign(bindings, run.profile.namespaces);
+
+    run.namespaceResolver = { lookupNamespaceURI: (prefix) => bindings[prefix] ?? null };
+    return run.namespaceResolver;
+}
+
 // ============================================================
-// Nested object setter
+// Nested object access
 // ============================================================
 
+function getNested(obj, path) {
+    let current = obj;
+    for (const key of path.split('.')) {
+        if (current == null || typeof current !== 'object' || !Object.hasOwn(current, key)) return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
 function setNested(obj, path, value) {
     const keys = path.split('.');
     let current = obj;
@@ -1,8 +1,12 @@
 /**
  * Mapping Store - Manages mapping profiles in localStorage.
  * Provides save, load, delete, import/export, and auto-detection.
+ * Profiles may extend a base profile (`extends` = id or name); a base profile
+ * cannot be deleted while other profiles still extend it.
  */
 
+import { detectSourceFormat, parseSourceDocument, sourceKeys } from './source-adapters.js';
+
 const STORAGE_KEY = 'dcc-mapping-profiles';
 
 /**
@@ -51,21 +55,45 @@ export function getProfile(id) {
     return getAllProfiles().find(p => p.id === id) || null;
 }
 
+/**
+ * Get the profiles that directly extend a given profile.
+ * @param {string} id
+ * @returns {object[]}
+ */
+export function getDependentProfiles(id) {
+    const profiles = getAllProfiles();
+    const base = profiles.find(p => p.id === id);
+    if (!base) return [];
+    return profiles.filter(p => p.id !== id && p.extends
+        && (p.extends === base.id || (base.name && p.extends === base.name)));
+}
+
 /**
  * Delete a profile by ID.
  * @param {string} id
+ * @throws {Error} if other profiles still extend it
  */
 export function deleteProfile(id) {
+    const dependents = getDependentProfiles(id);
+    if (dependents.length > 0) {
+        const names = dependents.map(p => `"${p.name || p.id}"`).join(', ');
+        throw new Error(`This profile is still extended by ${names}. Delete or re-base those profiles first.`);
+    }
     const profiles = getAllProfiles().filter(p => p.id !== id);
     localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
 }
 
 /**
- * Detect which profile matches a given XML by namespace and root element.
+ * Detect which profile matches a given source file. XML is matched by
+ * namespace and root element; JSON and CSV by `sourceFormat` and a
+ * `rootElement` that names one of their top-level keys or column headers.
  * @param {string} xmlString
  * @returns {object|null} matching profile or null
  */
 export function detectProfileForXml(xmlString) {
+    const format = detectSourceFormat(xmlString);
+    if (format !== 'xml') return detectProfileForFormat(xmlString, format);
+
     const parser = new DOMParser();
     const doc = parser.parseFromString(xmlString, 'text/xml');
     if (doc.querySelector('parsererror')) return null;
@@ -93,6 +121,20 @@ export function detectProfileForXml(xmlString) {
     return null;
 }
 
+function detectProfileForFormat(text, format) {
+    const candidates = getAllProfiles().filter(p => p.sourceFormat === format);
+    const matches = candidates.find(p => {
+        if (!p.rootElement) return false;
+        try {
+            // CSV profiles may place the header row differently
+            return sourceKeys(parseSourceDocument(text, format, p), format).includes(p.rootElement);
+        } catch {
+            return false;
+        }
+    });
+    return matches || (candidates.length === 1 && !candidates[0].rootElement ? candidates[0] : null);
+}
+
 /**
  * Export a profile as a downloadable JSON file.
  * @param {object} profile
@@ -149,7 +149,10 @@ The DCC-JSON format has the following sections. Map as many fields as possible.
       "measuringRange": "Measuring range with units (e.g., '0...200 °C')",
       "signalOutput": "Signal output range (e.g., '4...20 mA')",
       "calibrationRange": "Calibration range with units",
-      "medium": "Medium used (e.g., Water, Oil, Air, N2)"
+      "medium": "Medium used (e.g., Water, Oil, Air, N2)",
+      "mediumConditions": [{ "name": "Condition name (e.g., 'Temperature')", "value": "numeric or text with unit (e.g., '27 °C')", "unit": "unit, if separate from the value" }],
+      "calibrationFactorsAsFound": [{ "index": "integer — position of the factor", "value": "numeric factor" }],
+      "calibrationFactorsAsLeft": [{ "index": "integer — position of the factor", "value": "numeric factor" }]
     }
   ],
 
@@ -171,6 +174,7 @@ The DCC-JSON format has the following sections. Map as many fields as possible.
       "calibrationProcedure": "Calibration procedure description or reference",
       "method": "Method name or identifier",
       "decisionRule": "Decision rule description (how pass/fail is determined)",
+      "tolerance": "tolerance spec for all points, e.g. { percentOfReading, digits, resolution } or { absolute } or { lower, upper } or { percentOfFullScale, fullScale }",
       "calibrationRange": "Range covered by this measurement",
       "measuringRange": "Measuring range for this result group",
       "signalOutput": "Signal output range",
@@ -213,6 +217,10 @@ The DCC-JSON format has the following sections. Map as many fields as possible.
           "coverageProbability": "numeric — probability (typically 0.95)",
           "mpe": "numeric — Maximum Permissible Error",
           "mpeUnit": "unit of MPE",
+          "acceptanceLimitLower": "numeric — explicit lower limit of the measured value",
+          "acceptanceLimitUpper": "numeric — explicit upper limit of the measured value",
+          "acceptanceLimitUnit": "unit of the acceptance limits",
+          "tolerance.percentOfReading": "numeric — per-point tolerance spec (same keys as the result group's tolerance)",
           "conformity": "'pass' | 'fail' | null — per-point conformity assessment"
         }
       ]
@@ -230,7 +238,10 @@ The DCC-JSON format has the following sections. Map as many fields as possible.
       "calibrationMark": "Calibration mark of this equipment",
       "calibrationDate": "Date when this equipment was last calibrated (YYYY-MM-DD)",
       "nextCalibrationDate": "Next calibration date / validity date (YYYY-MM-DD)",
-      "traceability": "Traceability statement or chain"
+      "traceability": "Traceability statement or chain",
+      "certificateHash": "Hash of the equipment's own DCC (links to it together with certificateNumber)",
+      "certificateHashAlgorithm": "Hash algorithm (default SHA-256)",
+      "description": "Free-text remarks on the equipment"
     }
   ],
 
@@ -265,6 +276,13 @@ BASIC TYPES (source path → single value):
   { "target": "...", "source": "XPath/to/element", "type": "integer" }
   { "target": "...", "source": "XPath/to/element", "type": "boolean" }
   { "target": "...", "source": "XPath/to/element", "type": "date" }
+  { "target": "...", "source": "XPath/to/element", "type": "dateTime" }
+  { "target": "...", "source": "XPath/to/element/@unit", "type": "unit" }
+
+  Use "unit" for EVERY unit field (setPointUnit, measuredUnit, unit, ...). It converts vendor
+  spellings such as "bar", "°C", "mV", "%RH" or "m³/h" into D-SI strings ("\\bar", "\\degreecelsius",
+  "\\milli\\volt", "\\percent", "\\metre\\tothe{3}\\hour\\tothe{-1}"). If the source uses unit
+  spellings that are not standard symbols, add them to the profile's "unitAliases" table.
 
 ARRAY TYPE (repeating elements with sub-fields, supports unlimited nesting):
   {
@@ -281,7 +299,7 @@ ARRAY TYPE (repeating elements with sub-fields, supports unlimited nesting):
         "fields": [
           { "target": "name", "source": ".", "type": "static", "value": "Temperature" },
           { "target": "value", "source": "Temperature", "type": "number" },
-          { "target": "unit", "source": "Temperature/@unit", "type": "string" }
+          { "target": "unit", "source": "Temperature/@unit", "type": "unit" }
         ]
       },
       {
@@ -290,17 +308,17 @@ ARRAY TYPE (repeating elements with sub-fields, supports unlimited nesting):
         "type": "array",
         "fields": [
           { "target": "setPoint", "source": "SetPoint", "type": "number" },
-          { "target": "setPointUnit", "source": "SetPoint/@unit", "type": "string" },
+          { "target": "setPointUnit", "source": "SetPoint/@unit", "type": "unit" },
           { "target": "referenceValue", "source": "Reference", "type": "number" },
-          { "target": "referenceUnit", "source": "Reference/@unit", "type": "string" },
+          { "target": "referenceUnit", "source": "Reference/@unit", "type": "unit" },
           { "target": "measuredValue", "source": "UUTValue", "type": "number" },
-          { "target": "measuredUnit", "source": "UUTValue/@unit", "type": "string" },
+          { "target": "measuredUnit", "source": "UUTValue/@unit", "type": "unit" },
           { "target": "deviation", "source": "Deviations", "type": "number" },
-          { "target": "deviationUnit", "source": "Deviations/@unit", "type": "string" },
+          { "target": "deviationUnit", "source": "Deviations/@unit", "type": "unit" },
           { "target": "uncertainty", "source": "Uncertainty", "type": "number" },
-          { "target": "uncertaintyUnit", "source": "Uncertainty/@unit", "type": "string" },
+          { "target": "uncertaintyUnit", "source": "Uncertainty/@unit", "type": "unit" },
           { "target": "mpe", "source": "MPE", "type": "number" },
-          { "target": "mpeUnit", "source": "MPE/@unit", "type": "string" },
+          { "target": "mpeUnit", "source": "MPE/@unit", "type": "unit" },
           { "target": "conformity", "source": "@isConform", "type": "conformity" }
         ]
       }
@@ -310,6 +328,11 @@ ARRAY TYPE (repeating elements with sub-fields, supports unlimited nesting):
 SPECIAL DCC TYPES:
   "asFoundAsLeft"  — reads isAsFound/isAsLeft attribute on element → "asFound" or "asLeft"
   "conformity"     — reads @isConform → "pass" (true) or "fail" (false)
+  Both accept "source" + "map" (+ optional "default") when the source uses other attributes or values:
+    { "target": "category", "type": "asFoundAsLeft", "source": "@Status", "map": { "AF": "asFound", "AL": "asLeft" } }
+    { "target": "category", "type": "asFoundAsLeft", "source": "Phase", "map": { "before adjustment": "asFound", "after adjustment": "asLeft" } }
+    { "target": "conformity", "type": "conformity", "source": "@Result", "map": { "PASS": "pass", "FAIL": "fail" }, "default": null }
+  Map keys are matched exactly, then case-insensitively.
 
 ADVANCED TYPES:
 
@@ -328,6 +351,90 @@ ADVANCED TYPES:
   "firstOf" — take the first non-empty value from multiple source paths:
     { "target": "customer.name", "type": "firstOf", "sources": ["CompanyName", "OrganizationName", "Name"] }
 
+  "expression" — derive a value with a formula (no source needed). Identifiers refer to fields mapped
+  EARLIER in the same array item (or top-level fields), or to "variables" (name → source path):
+    { "target": "deviation", "type": "expression", "expression": "measuredValue - setPoint" }
+    { "target": "halfTolerance", "type": "expression", "expression": "abs(tol) * 0.5", "variables": { "tol": "Tolerance" } }
+  Operators: + - * / % ^ == != < <= > >= && || ! and "cond ? a : b". Functions: abs, min, max, round(x, digits),
+  floor, ceil, sqrt, pow, log10, ln, exp, number, string, concat, upper, lower, trim, length, coalesce.
+  Use it when the source lacks deviation, limits or relative values that can be computed from other fields.
+
+CROSS-REFERENCES (ID/IDREF): when an element refers to another one by ID — e.g. <TestPoint standardRef="STD-3"/>
+  pointing to <Standard id="STD-3"> — use "ref". "source" is the key on the current element, "index" says which
+  nodes to search (from the document root) and which of their paths holds the ID, "field" what to extract from
+  the referenced node (any scalar type):
+    { "target": "measurementResults[].results[].standardName", "type": "ref", "source": "@standardRef",
+      "index": { "nodes": "Standards/Standard", "key": "@id" }, "field": { "source": "Name", "type": "string" } }
+
+SEVERAL CERTIFICATES IN ONE FILE: if the sample XML holds several independent calibrations (one certificate each),
+  set the profile's "documentSplit" to the path of the repeating node. Top-level rules then read relative to that
+  node; add "scope": "document" to rules for data shared by all certificates (laboratory, customer):
+    "documentSplit": "Calibrations/Calibration"
+    { "target": "calibrationLaboratory.name", "source": "Laboratory/Name", "type": "string", "scope": "document" }
+
+FRAGMENTS: when the same structure appears in several places (e.g. an address block under the laboratory and
+  the customer), define its rules once under the profile's "fragments" and include them with a "fragment" rule.
+  "source" is the element the fragment's paths are relative to, "target" the prefix of its targets:
+    "fragments": { "addressBlock": [
+      { "target": "street", "source": "Street", "type": "string" },
+      { "target": "city", "source": "City", "type": "string" } ] }
+    { "type": "fragment", "name": "addressBlock", "source": "Customer/Address", "target": "customer" }
+
+COLUMN-ORIENTED DATA (pivot): if test points are stored as lists instead of one element per point —
+  "<SetPoints>1 2 3</SetPoints><Readings>1.01 2.02 2.98</Readings>" or parallel sibling lists — use an array with
+  "columns" instead of iterating elements. Row i gets the i-th value of every column as a child element named
+  after the column; single-value columns (e.g. a shared unit) are repeated on every row:
+    { "target": "results[]", "type": "array", "split": "whitespace",
+      "columns": { "setPoint": "SetPoints", "measuredValue": "Readings", "unit": "SetPoints/@unit" },
+      "fields": [
+        { "target": "setPoint", "source": "setPoint", "type": "number" },
+        { "target": "measuredValue", "source": "measuredValue", "type": "number" },
+        { "target": "setPointUnit", "source": "unit", "type": "unit" }
+      ] }
+  "split": "whitespace" or a delimiter like "," or ";" (rule-wide, or per column as { "source", "split" });
+  omit it for parallel sibling lists. An optional "source" selects container elements to pivot one by one.
+
+AGGREGATE TYPES (statistics over ALL nodes matching "source", top level or inside arrays):
+    { "target": "measurementResults[].pointCount", "source": "Results/Point", "type": "count" }
+    { "target": "influenceConditions[].min", "source": "Environment/Temperature", "type": "min" }
+    { "target": "influenceConditions[].max", "source": "Environment/Temperature", "type": "max" }
+    { "target": "remarks", "source": "Technician/@name", "type": "distinctJoin", "separator": ", " }
+  "count" — number of nodes; "sum", "min", "max", "avg" — numeric (use the profile numberFormat);
+  "distinctJoin" — distinct non-empty values joined in document order.
+
+TRANSFORMS (optional "transform" chain on any rule that reads source text, runs before type conversion):
+  Use it to pull parts out of composite text instead of mapping the whole string:
+    { "target": "...serialNumber", "source": "Sensor", "transform": [{ "split": "/", "index": -1 }, { "regex": "\\\\d+" }] }
+        → "PT100 / SN 12345" becomes "12345"
+    { "target": "...rangeMax", "source": "Range", "type": "number", "transform": [{ "split": "...", "index": 1 }] }
+        → "0...10 bar" becomes 10
+  Steps: "trim", "upper", "lower", { "regex", "group", "flags" }, { "replace", "with", "flags" },
+  { "substring": [start, end] }, { "pad": length, "char", "side" }, { "split": separator, "index" }.
+  A regex that does not match yields no value.
+
+CONDITIONS (optional on ANY rule or array field):
+  "when" applies the rule only if a source path (relative to the current element) exists, equals a value
+  or matches a regex; "else" replaces parts of the rule when it does not (without "else" the rule is skipped):
+    { "target": "customer.name", "source": "BusinessPartner[@role='ShipTo']/Name",
+      "when": { "source": "BusinessPartner[@role='ShipTo']" },
+      "else": { "source": "BusinessPartner[@role='SoldTo']/Name" } }
+    { "target": "...", "source": "...", "when": { "source": "@isAsLeft", "equals": "true" } }
+    { "target": "...", "type": "static", "value": "pass", "when": { "source": "Result", "matches": "^(ok|pass)$", "flags": "i" } }
+  Condition forms: { "source" } / { "source", "exists": false } / { "source", "equals": "x" or ["x", "y"] } /
+  { "source", "matches", "flags" } / { "all": [...] } / { "any": [...] }, each optionally with "not": true.
+
+NUMBER FORMATS:
+  Numbers are parsed strictly; "1.234,56" is NOT read as 1.234. If the sample XML writes numbers with a comma
+  decimal separator or with thousands separators, set "numberFormat" on the profile (e.g. "de" for "1.234,56").
+  A single rule can override it with its own "numberFormat". Trailing units ("12.5 mV") are ignored for numbers.
+
+DATE FORMATS:
+  "date" outputs "YYYY-MM-DD", "dateTime" a full ISO 8601 timestamp. ISO dates and "DD.MM.YYYY" are read by
+  default. For other spellings set "dateFormat" (profile or rule) to a pattern using the tokens YYYY YY MMM MM M
+  DD D HH H mm ss SSS Z, or a list of patterns: "MM/DD/YYYY" for "08/09/2024", "D MMM YYYY" for "9 Aug 2024",
+  "excel" for spreadsheet serial numbers ("45513"). If timestamps carry no offset, set "timezone" to the zone
+  they were written in (e.g. "Europe/Berlin"); "outputTimezone" (e.g. "UTC") converts them before output.
+
 PATH RULES:
   - Paths use element LOCAL NAMES only (no namespace prefixes, they are stripped automatically)
   - "/" separates path steps: "CertificateData/HeaderData/CertificateNumber"
@@ -337,6 +444,9 @@ PATH RULES:
   - Subsequent steps are direct children
   - Predicates: "BusinessPartner[@role='SoldTo']" — use attribute predicates to select specific elements
   - For array fields: "source" is the path to the repeating container, "fields" paths are relative to each item
+  - Only if the simplified syntax cannot express it (sibling axes, position(), last(), count(), sum(), contains(),
+    unions), write a full XPath 1.0 expression prefixed with "xpath:", e.g. "xpath:count(//ns:Point)". It is NOT
+    rewritten, so use the document's namespace prefixes ("default" = root default namespace)
 
 === MAPPING STRATEGY CHECKLIST ===
 
@@ -416,6 +526,13 @@ Go through this checklist systematically and create mappings for EACH section:
   "schemaNamespace": "target namespace from XSD (from targetNamespace attribute)",
   "rootElement": "root element local name",
   "description": "Brief description of what this schema covers",
+  "unitAliases": { "vendor unit spelling": "D-SI unit string" },
+  "numberFormat": "de" | "en" | "fr" | "ch" | { "decimalSeparator": ",", "thousandsSeparator": "." } — only if the sample XML does not use plain "1234.5" numbers,
+  "dateFormat": "MM/DD/YYYY" | ["pattern", ...] — only if dates are neither ISO nor "DD.MM.YYYY",
+  "timezone": "Europe/Berlin" — only if timestamps have no UTC offset,
+  "namespaces": { "prefix": "namespace URI" } — only for "xpath:" paths whose prefixes the sample XML does not declare,
+  "fragments": { "name": [ ...rules... ] } — only if a structure repeats in several places,
+  "documentSplit": "path of the node that is one certificate" — only if the file holds several certificates,
   "mappings": [ ...mapping rules as described above... ]
 }
 
@@ -438,7 +555,7 @@ function buildTrainingUserPrompt(xsdContent, xmlContent, profileName) {
     prompt += '\n\nNow generate the complete mapping profile JSON. Remember:\n';
     prompt += '1. Map EVERY element and attribute — do not skip fields\n';
     prompt += '2. Use nested arrays for repeating structures\n';
-    prompt += '3. Map ALL units (look for @unit attributes on every numeric element)\n';
+    prompt += '3. Map ALL units (look for @unit attributes on every numeric element) with type "unit"\n';
     prompt += '4. Use "concat" for names that are split into FirstName/LastName\n';
     prompt += '5. Use predicates like [@role=\'SoldTo\'] to target specific business partners\n';
     prompt += '6. Map influence conditions (temperature, humidity, pressure) with all their sub-values\n';
@@ -0,0 +1,151 @@
+/**
+ * Number Parser - Locale-aware, strict parsing of numeric source values.
+ *
+ * Unlike parseFloat, values are never silently truncated: "1.234,56" with the
+ * default format or "12.5" with a German format (where "." groups thousands)
+ * are rejected with an error instead of becoming 1.234 or 125.
+ *
+ * Number format options (profile.numberFormat, overridable per rule):
+ *   decimalSeparator    — "." (default), "," or "auto" (last of "." / "," wins)
+ *   thousandsSeparator  — "" (default, none), ".", ",", " " or "'"
+ *   exponent            — accept scientific notation like "1.5E-3" (default true)
+ *   unitSuffix          — accept and ignore a trailing unit like "12.5 mV" (default true);
+ *                         the unit must be separated by whitespace or be a known
+ *                         unit symbol ("12.5mV"), so "0x10" or "1e" are rejected
+ * Instead of an object, a preset name can be given: "en", "de", "fr", "ch".
+ */
+
+import { normalizeUnit } from './unit-normalizer.js';
+
+export const NUMBER_FORMAT_PRESETS = {
+    en: { decimalSeparator: '.', thousandsSeparator: ',' },
+    de: { decimalSeparator: ',', thousandsSeparator: '.' },
+    fr: { decimalSeparator: ',', thousandsSeparator: ' ' },
+    ch: { decimalSeparator: '.', thousandsSeparator: "'" },
+};
+
+const DEFAULT_FORMAT = {
+    decimalSeparator: '.',
+    thousandsSeparator: '',
+    exponent: true,
+    unitSuffix: true,
+};
+
+// sign, digits with separators, optional exponent, rest
+const NUMBER_PATTERN = /^([+\-−]?)((?:\d[\d.,' ]*\d|\d)?(?:[.,]\d+)?)((?:[eE][+\-]?\d+)?)(.*)$/;
+
+/**
+ * Merge profile- and rule-level number formats (presets resolved).
+ * @param {...(object|string)} formats - Formats in increasing precedence
+ * @returns {object} Effective number format
+ */
+export function resolveNumberFormat(...formats) {
+    const result = { ...DEFAULT_FORMAT };
+    for (const format of formats) {
+        if (!format) continue;
+        const spec = typeof format === 'string' ? NUMBER_FORMAT_PRESETS[format] : format;
+        if (!spec) throw new Error(`Unknown number format preset "${format}"`);
+        Object.assign(result, spec);
+    }
+    return result;
+}
+
+/**
+ * Parse a numeric string according to a number format.
+ * @param {string} raw - Source value, e.g. "1.234,56", "0,0025", "1.5E-3", "12.5 mV"
+ * @param {object} [format] - Effective number format (see resolveNumberFormat)
+ * @returns {number}
+ * @throws {Error} if the value is not a number in the given format
+ */
+export function parseNumber(raw, format = DEFAULT_FORMAT) {
+    const str = String(raw).replace(/[\u00a0\u202f]/g, ' ').trim();
+    const fail = (reason) => {
+        throw new Error(`Cannot parse "${raw}" as a number: ${reason}`);
+    };
+
+    const match = str.match(NUMBER_PATTERN);
+    if (!match || !match[2]) fail('no digits');
+
+    const [, sign, body, exp, rest] = match;
+    if (exp && !format.exponent) fail('scientific notation not allowed');
+
+    const suffix = rest.trim();
+    if (suffix) {
+        if (!format.exponent && /^[eE][+\-]?\d/.test(suffix)) fail('scientific notation not allowed');
+        if (!format.unitSuffix) fail(`unexpected trailing text "${suffix}"`);
+        // A unit never starts with a digit or separator: "1.2.3" or "1,5,6" are not numbers
+        if (/^[\d.,+\-]/.test(suffix)) fail(`invalid trailing text "${suffix}"`);
+        if (!isUnitSuffix(rest)) fail(`trailing text "${suffix}" is neither separated nor a known unit`);
+    }
+
+    const { decimal, thousands } = separatorsFor(body, format);
+    let normalized = body;
+
+    if (thousands) {
+        const [intPart] = normalized.split(decimal);
+        if (intPart.includes(thousands) && !isGrouped(intPart, thousands)) {
+            fail(`misplaced thousands separator "${thousands}"`);
+        }
+        normalized = normalized.split(thousands).join('');
+    }
+    if (decimal !== '.') {
+        if (normalized.includes('.')) fail(`unexpected "." (decimal separator is "${decimal}")`);
+        normalized = normalized.replace(decimal, '.');
+    }
+    if (!/^(\d+(\.\d+)?|\.\d+)$/.test(normalized)) {
+        fail(`unexpected characters for decimal "${decimal}" / thousands "${thousands || 'none'}"`);
+    }
+
+    const value = Number(normalized + exp);
+    if (!Number.isFinite(value)) fail('not a finite number');
+    return sign === '-' || sign === '−' ? -value : value;
+}
+
+/**
+ * Split a value like "12.5 mV" into the number text and its trailing unit.
+ * @param {string} raw
+ * @returns {string|null} The trailing unit, or null if the value has none
+ */
+export function extractUnitSuffix(raw) {
+    const match = String(raw).replace(/[\u00a0\u202f]/g, ' ').trim().match(NUMBER_PATTERN);
+    if (!match || !match[2]) return null;
+    const suffix = match[4].trim();
+    // "1/min" is a unit on its own, not the number 1 with unit "/min"
+    return suffix && !/^[\d.,+\-/]/.test(suffix) && isUnitSuffix(match[4]) ? suffix : null;
+}
+
+// ============================================================
+// Internal
+// ============================================================
+
+// Text after the number is a unit if set apart by whitespace ("12.5 mV") or
+// if it is a known unit symbol directly attached ("12.5mV", "20°C")
+function isUnitSuffix(rest) {
+    return /^\s/.test(rest) || normalizeUnit(rest.trim()).known;
+}
+
+function separatorsFor(body, format) {
+    if (format.decimalSeparator !== 'auto') {
+        return { decimal: format.decimalSeparator, thousands: format.thousandsSeparator || '' };
+    }
+
+    // auto: with both "." and "," the last one is the decimal separator;
+    // a single kind appearing once is taken as decimal, repeated as grouping
+    const lastDot = body.lastIndexOf('.');
+    const lastComma = body.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) {
+        return lastDot > lastComma ? { decimal: '.', thousands: ',' } : { decimal: ',', thousands: '.' };
+    }
+    const sep = lastDot >= 0 ? '.' : lastComma >= 0 ? ',' : null;
+    const extraThousands = format.thousandsSeparator && format.thousandsSeparator !== sep ? format.thousandsSeparator : '';
+    if (!sep) return { decimal: '.', thousands: extraThousands };
+    if (body.indexOf(sep) !== body.lastIndexOf(sep)) {
+        return { decimal: sep === '.' ? ',' : '.', thousands: sep };
+    }
+    return { decimal: sep, thousands: extraThousands };
+}
+
+function isGrouped(intPart, thousands) {
+    const groups = intPart.split(thousands);
+    return /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(g => /^\d{3}$/.test(g));
+}
@@ -0,0 +1,653 @@
+/**
+ * Source Adapters - Let the mapping engine read JSON, CSV and Excel workbooks
+ * as well as XML.
+ *
+ * Every source format is turned into a DOM document, so all mapping types,
+ * conditions and the report work the same way. The profile declares its format
+ * (`"sourceFormat": "xml" | "json" | "csv" | "xlsx"`, default "xml"), and its paths are
+ * written in that format's own syntax. Before conversion they are translated
+ * into XPath over the generated document.
+ *
+ * JSON → <json> root. Object keys become child elements, and array items become
+ * repeated elements named after their key. Items of nested arrays (and of a
+ * top-level array) are named "item". Paths are JSONPath-style:
+ *   $.header.certificateNo             — absolute (from the document root)
+ *   @.value, value, value.unit         — relative to the current array item
+ *   $.points[0], $.points[-1]          — index (0-based; negative counts from the end)
+ *   $.points[*], $.points[0,2], [1:3]  — all items, index list, slice
+ *   $..serialNumber                    — recursive descent
+ *   $.points[?(@.direction == 'cw')]   — filter (==, !=, <, <=, >, >=, &&, ||)
+ *   $['key with spaces']               — bracket notation
+ *
+ * CSV → <csv> root with a <meta> block and one <row> per data line. Lines
+ * above the header row are read as "key;value" pairs into <meta>. Paths address
+ * the table by column:
+ *   rows, rows[2]                      — all data rows / the second one (array sources)
+ *   Set point                          — column by header name: the cell of the current
+ *                                        row (the first row at top level; all rows for aggregates)
+ *   #3                                 — column by position (1-based)
+ *   rows[2]/Set point                  — cell of one row
+ *   meta/Operator                      — value of a "key;value" line above the header
+ * CSV options (profile.csv): delimiter (default: detected from the header line,
+ * one of ";", ",", tab, "|"), headerRow (1-based, default 1).
+ *
+ * XLSX → the workbook XML from xlsx-reader.js. Paths address cells, defined
+ * names and table rows:
+ *   Admin!B2, 'Raw data'!C7            — one cell
+ *   Results!B4:B20, Results!B:B        — a range, read row by row (array sources, aggregates)
+ *   name:CertNo                        — the cell(s) of a defined name
+ *   table:Results, table:Results[2]    — all rows of a table / the second one (array sources)
+ *   Set point, #2, #B                  — column of the current table row: by header,
+ *                                        by position (1-based) or by sheet column letter
+ *   table:Results/Set point            — that column in all rows (aggregates)
+ * Excel tables (Insert → Table) are found automatically. Plain ranges with a
+ * header row are declared in profile.xlsx.tables, e.g. { "Results": "Results!A3" }:
+ * from a header start cell, the table extends right to the last header and down
+ * to the first empty row; "Results!A3:F20" fixes the range.
+ */
+
+import { columnNumber, columnLetters } from './xlsx-reader.js';
+
+export const SOURCE_FORMATS = ['xml', 'json', 'csv', 'xlsx'];
+
+/**
+ * Guess the format of a source file from its content.
+ * @param {string} text
+ * @returns {string} "xml", "json", "csv" or "xlsx" (a workbook read by xlsx-reader.js)
+ */
+export function detectSourceFormat(text) {
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('<workbook source="xlsx"')) return 'xlsx';
+    if (start.startsWith('<')) return 'xml';
+    if (start.startsWith('{') || start.startsWith('[')) return 'json';
+    return 'csv';
+}
+
+/**
+ * Parse a source file into a DOM document.
+ * @param {string} text - File content
+ * @param {string} [format] - "xml" (default), "json", "csv" or "xlsx"
+ * @param {object} [options] - { csv: { delimiter, headerRow }, xlsx: { tables } }
+ * @returns {Document}
+ * @throws {Error} if the content cannot be parsed in the given format
+ */
+export function parseSourceDocument(text, format = 'xml', options = {}) {
+    switch (format || 'xml') {
+        case 'xml': {
+            const doc = new DOMParser().parseFromString(text, 'text/xml');
+            const parseError = doc.querySelector('parsererror');
+            if (parseError) {
+                throw new Error('XML parse error: ' + parseError.textContent.substring(0, 200));
+            }
+            return doc;
+        }
+        case 'json': {
+            let value;
+            try {
+                value = JSON.parse(text.replace(/^\uFEFF/, ''));
+            } catch (e) {
+                throw new Error('JSON parse error: ' + e.message);
+            }
+            return jsonToDocument(value);
+        }
+        case 'csv':
+            return csvToDocument(text, options.csv || {});
+        case 'xlsx': {
+            const doc = new DOMParser().parseFromString(text, 'text/xml');
+            const root = doc.documentElement;
+            if (doc.querySelector('parsererror') || root.localName !== 'workbook' || root.getAttribute('source') !== 'xlsx') {
+                throw new Error('Not an Excel workbook: open the .xlsx file itself');
+            }
+            expandWorkbook(doc, options.xlsx || {});
+            return doc;
+        }
+        default:
+            throw new Error(`Unknown source format "${format}" (expected ${SOURCE_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Translate a path written in the source format's syntax into an engine path
+ * (an "xpath:" expression over the generated document). XML paths are
+ * returned unchanged, as are "." and paths that already start with "xpath:".
+ * @param {string} path
+ * @param {string} [format]
+ * @returns {string}
+ * @throws {Error} for paths the format's syntax does not allow
+ */
+export function translateSourcePath(path, format = 'xml') {
+    if (!format || format === 'xml' || path === '.' || path.startsWith('xpath:')) return path;
+    if (format === 'json') return 'xpath:' + jsonPathToXPath(path);
+    if (format === 'csv') return 'xpath:' + csvPathToXPath(path);
+    if (format === 'xlsx') return 'xpath:' + xlsxPathToXPath(path);
+    throw new Error(`Unknown source format "${format}"`);
+}
+
+/**
+ * Name of a generated element as written in the source (object key or column
+ * header), and the path that addresses it, for the editor's source explorer.
+ * @param {string} format
+ * @param {Element} el
+ * @param {string} parentPath - Path of the parent ("" for the root)
+ * @returns {{name: string, path: string}}
+ */
+export function describeSourceNode(format, el, parentPath) {
+    const name = decodeName(el.localName);
+    if (format === 'json') {
+        if (!parentPath) return { name: '$', path: '$' };
+        if (el.localName === ITEM) {
+            // item of a nested (or top-level) array: one more index step
+            return { name: '[*]', path: parentPath + (parentPath === '$' || parentPath.endsWith('[*]') ? '[*]' : '[*][*]') };
+        }
+        const isIdentifier = /^[A-Za-z_$][\w$]*$/.test(name);
+        return { name, path: isIdentifier ? `${parentPath}.${name}` : `${parentPath}['${name.replace(/'/g, "\\'")}']` };
+    }
+    if (!parentPath) return { name: 'csv', path: '.' };
+    if (el.localName === 'row') return { name: 'rows', path: 'rows' };
+    if (el.localName === 'meta') return { name: 'meta', path: 'meta' };
+    return { name, path: parentPath === 'meta' ? `meta/${name}` : name };
+}
+
+/**
+ * Names a source offers at its top level (JSON object keys, CSV column headers,
+ * or workbook sheet, table and defined names), for matching it to a profile's
+ * `rootElement`.
+ * @param {Document} doc - from parseSourceDocument
+ * @param {string} format
+ * @returns {string[]}
+ */
+export function sourceKeys(doc, format) {
+    const root = doc.documentElement;
+    if (format === 'json') return Array.from(new Set(Array.from(root.children, el => decodeName(el.localName))));
+    if (format === 'csv') {
+        const firstRow = Array.from(root.children).find(el => el.localName === 'row');
+        return firstRow ? Array.from(firstRow.children, el => decodeName(el.localName)) : [];
+    }
+    if (format === 'xlsx') return Array.from(new Set(Array.from(root.children, el => el.getAttribute('name')).filter(Boolean)));
+    return [root.localName];
+}
+
+/**
+ * Source explorer tree for a workbook: sheets with their non-empty cells,
+ * tables with their columns (value of the first row) and defined names. Nodes
+ * have the shape of the mapping engine's parseXmlToTree.
+ * @param {Document} doc - from parseSourceDocument(..., 'xlsx')
+ * @returns {object}
+ */
+export function workbookTree(doc) {
+    const node = (name, path, value, children = []) => ({
+        name,
+        path,
+        attributes: [],
+        children,
+        hasText: Boolean(value),
+        value: value ? (value.length > 60 ? value.substring(0, 57) + '...' : value) : null,
+        count: 1,
+    });
+    const root = doc.documentElement;
+    const byType = (type) => Array.from(root.children).filter(el => el.localName === type);
+
+    const sheets = byType('sheet').map((sheet) => {
+        const prefix = sheetPrefix(sheet.getAttribute('name'));
+        const cells = Array.from(sheet.getElementsByTagName('c'));
+        // the sheet itself stands for its used range
+        const used = { r1: Infinity, c1: Infinity, r2: 1, c2: 1 };
+        for (const c of cells) {
+            const r = Number(c.parentNode.getAttribute('r'));
+            const col = Number(c.getAttribute('col'));
+            Object.assign(used, {
+                r1: Math.min(used.r1, r), c1: Math.min(used.c1, col), r2: Math.max(used.r2, r), c2: Math.max(used.c2, col),
+            });
+        }
+        const range = cells.length > 0
+            ? `${prefix}${columnLetters(used.c1)}${used.r1}:${columnLetters(used.c2)}${used.r2}`
+            : prefix + 'A1';
+        return node(sheet.getAttribute('name'), range, null, cells.slice(0, WORKBOOK_TREE_CELLS)
+            .map(c => node(c.getAttribute('r'), prefix + c.getAttribute('r'), c.textContent)));
+    });
+    const tables = byType('table').map((table) => {
+        const first = Array.from(table.children).find(el => el.localName === 'entry');
+        const columns = first ? Array.from(first.children) : [];
+        const rows = Array.from(table.children).filter(el => el.localName === 'entry').length;
+        const tableNode = node(table.getAttribute('name'), `table:${table.getAttribute('name')}`, null,
+            columns.map(c => node(decodeName(c.localName), decodeName(c.localName), c.textContent)));
+        tableNode.count = rows;
+        return tableNode;
+    });
+    const names = byType('definedName').map(el =>
+        node(el.getAttribute('name'), `name:${el.getAttribute('name')}`, el.textContent));
+
+    return node('workbook', '.', null, [
+        node('Sheets', '.', null, sheets),
+        node('Tables', '.', null, tables),
+        node('Names', '.', null, names),
+    ].filter(group => group.children.length > 0));
+}
+
+// ============================================================
+// Internal: Element names
+// ============================================================
+
+/**
+ * Make any key a valid XML element name: characters outside [A-Za-z0-9_.-]
+ * (and a leading digit, "." or "-") become _xHHHH_, as in .NET's XmlConvert.
+ */
+function encodeName(key) {
+    const chars = Array.from(String(key));
+    if (chars.length === 0) return '_x_';
+    return chars.map((ch, i) => {
+        const valid = i === 0 ? /[A-Za-z_]/.test(ch) : /[\w.-]/.test(ch);
+        // a literal "_x0041_" in a key must not decode to "A"
+        const looksEscaped = ch === '_' && /^_x[\dA-F]{4,6}_/.test(chars.slice(i).join(''));
+        return valid && !looksEscaped ? ch : escapeChar(ch);
+    }).join('');
+}
+
+function escapeChar(ch) {
+    return `_x${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}_`;
+}
+
+function decodeName(name) {
+    if (name === '_x_') return '';
+    return name.replace(/_x([\dA-F]{4,6})_/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)));
+}
+
+// ============================================================
+// Internal: JSON
+// ============================================================
+
+const ITEM = 'item';
+
+function jsonToDocument(value) {
+    const doc = new DOMParser().parseFromString('<json/>', 'text/xml');
+    const root = doc.documentElement;
+    if (Array.isArray(value)) appendJson(doc, root, ITEM, value);
+    else if (value !== null && typeof value === 'object') appendMembers(doc, root, value);
+    else if (value !== null) root.textContent = String(value);
+    return doc;
+}
+
+function appendMembers(doc, el, object) {
+    for (const [key, value] of Object.entries(object)) appendJson(doc, el, encodeName(key), value);
+}
+
+function appendJson(doc, parent, name, value) {
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            if (Array.isArray(item)) {
+                const el = parent.appendChild(doc.createElement(name));
+                appendJson(doc, el, ITEM, item);
+            } else {
+                appendJson(doc, parent, name, item);
+            }
+        }
+        return;
+    }
+    const el = parent.appendChild(doc.createElement(name));
+    if (value !== null && typeof value === 'object') appendMembers(doc, el, value);
+    else if (value !== null) el.textContent = String(value);
+}
+
+/**
+ * JSONPath-style path → XPath. Each array index or wildcard applies to the
+ * repeated elements of the step before it; a second one in a row (nested
+ * arrays) steps into the "item" children.
+ */
+function jsonPathToXPath(path) {
+    const fail = (reason) => {
+        throw new Error(`Invalid JSON path "${path}": ${reason}`);
+    };
+    let rest = path.trim();
+    let xpath;
+    let indexed = true; // the step before can take an index itself (false: needs an "item" step)
+
+    if (rest.startsWith('$')) {
+        xpath = '/json';
+        rest = rest.substring(1);
+        indexed = false;
+    } else if (rest.startsWith('@')) {
+        xpath = '.';
+        rest = rest.substring(1);
+        indexed = false;
+    } else {
+        // bare relative path: "value.unit" reads like "@.value.unit"
+        xpath = '.';
+        if (!rest.startsWith('[')) rest = '.' + rest;
+        indexed = false;
+    }
+
+    while (rest) {
+        let m;
+        if ((m = rest.match(/^(\.\.?)(\*|[\w$-]+)/))) {
+            const axis = m[1] === '..' ? '//' : '/';
+            xpath += axis + (m[2] === '*' ? '*' : encodeName(m[2]));
+            indexed = true;
+        } else if ((m = rest.match(/^(\.\.)?\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]/))) {
+            const key = (m[2] ?? m[3]).replace(/\\(.)/g, '$1');
+            xpath += (m[1] ? '//' : '/') + encodeName(key);
+            indexed = true;
+        } else if ((m = rest.match(/^\[\s*\?\s*\((.*?)\)\s*\](?=$|[.[])/))) {
+            if (!indexed) xpath += '/' + ITEM;
+            xpath += `[${filterToXPath(m[1], fail)}]`;
+            indexed = true;
+        } else if ((m = rest.match(/^\[([^\]]*)\]/))) {
+            if (!indexed) xpath += '/' + ITEM;
+            const predicate = indexToPredicate(m[1].trim(), fail);
+            if (predicate) xpath += `[${predicate}]`;
+            indexed = false;
+        } else {
+            fail(`unexpected "${rest}"`);
+        }
+        rest = rest.substring(m[0].length);
+    }
+    return xpath;
+}
+
+function indexToPredicate(spec, fail) {
+    if (spec === '*') return '';
+    if (/^-?\d+$/.test(spec)) return positionOf(parseInt(spec, 10));
+    if (/^-?\d+(\s*,\s*-?\d+)+$/.test(spec)) {
+        return spec.split(',').map(i => `position() = ${positionOf(parseInt(i, 10))}`).join(' or ');
+    }
+    const slice = spec.match(/^(-?\d*)\s*:\s*(-?\d*)$/);
+    if (slice) {
+        const parts = [];
+        if (slice[1] !== '') parts.push(`position() >= ${positionOf(parseInt(slice[1], 10))}`);
+        if (slice[2] !== '') parts.push(`position() < ${positionOf(parseInt(slice[2], 10))}`);
+        return parts.join(' and ') || '';
+    }
+    return fail(`unsupported index "[${spec}]"`);
+}
+
+function positionOf(index) {
+    if (index >= 0) return String(index + 1);
+    return index === -1 ? 'last()' : `last() - ${-index - 1}`;
+}
+
+/**
+ * Filter expression → XPath predicate: @.a.b becomes a/b, == becomes =,
+ * && / || become and / or; string and number literals stay as they are.
+ */
+function filterToXPath(expr, fail) {
+    const tokens = expr.match(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|@(?:\.[A-Za-z_$][\w$-]*|\[\s*'[^']*'\s*\])*|===?|!==?|<=|>=|&&|\|\||[<>()!]|-?\d+(?:\.\d+)?|true|false|null|\s+|./g) || [];
+    return tokens.map((token) => {
+        if (/^\s+$/.test(token)) return ' ';
+        if (token.startsWith('@')) {
+            const keys = Array.from(token.matchAll(/\.([A-Za-z_$][\w$-]*)|\[\s*'([^']*)'\s*\]/g), m => m[1] ?? m[2]);
+            return keys.length > 0 ? keys.map(encodeName).join('/') : '.';
+        }
+        if (token.startsWith("'") || token.startsWith('"')) return token.replace(/\\(.)/g, '$1');
+        switch (token) {
+            case '==': case '===': return '=';
+            case '!=': case '!==': return '!=';
+            case '&&': return 'and';
+            case '||': return 'or';
+            case 'true': case 'false': return `'${token}'`;
+            case 'null': return "''";
+            case '!': return fail('"!" is not supported in filters; use != or compare with false');
+        }
+        if (/^(-?\d|[<>=()]|<=|>=)/.test(token)) return token;
+        return fail(`unexpected "${token}" in filter`);
+    }).join('');
+}
+
+// ============================================================
+// Internal: CSV
+// ============================================================
+
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+
+function csvToDocument(text, options) {
+    const lines = parseCsvLines(text.replace(/^\uFEFF/, ''), options.delimiter);
+    const headerIndex = (options.headerRow ?? 1) - 1;
+    const header = lines[headerIndex];
+    if (!header) throw new Error(`CSV has no header row ${headerIndex + 1}`);
+
+    const doc = new DOMParser().parseFromString('<csv/>', 'text/xml');
+    const root = doc.documentElement;
+
+    const meta = root.appendChild(doc.createElement('meta'));
+    for (const cells of lines.slice(0, headerIndex)) {
+        if (!cells[0]) continue;
+        meta.appendChild(doc.createElement(encodeName(cells[0]))).textContent = cells[1] ?? '';
+    }
+
+    const names = header.map((title, i) => encodeName(title || `column${i + 1}`));
+    for (const cells of lines.slice(headerIndex + 1)) {
+        const row = root.appendChild(doc.createElement('row'));
+        names.forEach((name, i) => {
+            row.appendChild(doc.createElement(name)).textContent = cells[i] ?? '';
+        });
+    }
+    return doc;
+}
+
+/**
+ * Split CSV text into lines of trimmed cells (RFC 4180 quoting; blank lines
+ * dropped). Without a delimiter, the one occurring most often outside quotes
+ * in the first line is used.
+ */
+function parseCsvLines(text, delimiter) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const sep = delimiter || CSV_DELIMITERS
+        .map(d => ({ d, n: firstLine.replace(/"[^"]*"/g, '').split(d).length }))
+        .sort((a, b) => b.n - a.n)[0].d;
+
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (ch === sep) {
+            cells.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell.trim());
+            if (cells.some(c => c !== '')) lines.push(cells);
+            cells = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    if (cells.some(c => c !== '')) lines.push(cells);
+    return lines;
+}
+
+/**
+ * CSV path → XPath. Columns are looked up in the current row, or in all rows
+ * when the context is the document, like the first step of an XML path.
+ */
+function csvPathToXPath(path) {
+    const steps = path.split('/').map(s => s.trim());
+    const rowStep = (index) => `descendant-or-self::row${index ? `[${index}]` : ''}`;
+    const cellStep = (step) => {
+        const m = step.match(/^#(\d+)$/);
+        if (m) return `*[${m[1]}]`;
+        if (!step) throw new Error(`Invalid CSV path "${path}": empty column name`);
+        return encodeName(step);
+    };
+
+    const first = steps[0].match(/^rows(?:\[(\d+)\])?$/);
+    if (first) {
+        if (steps.length === 1) return rowStep(first[1]);
+        if (steps.length === 2) return `${rowStep(first[1])}/${cellStep(steps[1])}`;
+    } else if (steps[0] === 'meta') {
+        if (steps.length === 1) return '/csv/meta';
+        if (steps.length === 2) return `/csv/meta/${encodeName(steps[1])}`;
+    } else if (steps.length === 1) {
+        return `${rowStep()}/${cellStep(steps[0])}`;
+    }
+    throw new Error(`Invalid CSV path "${path}" (use a column name, #n, rows[n]/column or meta/key)`);
+}
+
+// ============================================================
+// Internal: XLSX
+// ============================================================
+
+const WORKBOOK_TREE_CELLS = 500;
+
+/**
+ * Fill in what paths address beyond the plain cells: the cells of every
+ * defined name, and one <entry> per data row of every table (Excel tables and
+ * profile.xlsx.tables), with a child per column named by its header.
+ */
+function expandWorkbook(doc, options) {
+    const root = doc.documentElement;
+    const children = (type) => Array.from(root.children).filter(el => el.localName === type);
+    const grids = new Map();
+    const grid = (sheetName) => {
+        if (!grids.has(sheetName)) {
+            const sheet = children('sheet').find(el => el.getAttribute('name') === sheetName);
+            if (!sheet) throw new Error(`Workbook has no sheet "${sheetName}"`);
+            const cells = new Map();
+            for (const c of Array.from(sheet.getElementsByTagName('c'))) {
+                cells.set(`${c.parentNode.getAttribute('r')}:${c.getAttribute('col')}`, c);
+            }
+            grids.set(sheetName, cells);
+        }
+        return grids.get(sheetName);
+    };
+    const text = (cells, row, col) => cells.get(`${row}:${col}`)?.textContent ?? '';
+
+    for (const definedName of children('definedName')) {
+        for (const area of definedName.getAttribute('ref').split(',')) {
+            const range = parseCellRange(area.trim());
+            if (!range?.sheet || range.r2 === Infinity) continue; // constants, formulas, whole columns
+            const cells = grid(range.sheet);
+            for (let r = range.r1; r <= (range.r2 ?? range.r1); r++) {
+                for (let c = range.c1; c <= (range.c2 ?? range.c1); c++) {
+                    const cell = cells.get(`${r}:${c}`);
+                    if (cell) definedName.appendChild(cell.cloneNode(true));
+                }
+            }
+        }
+    }
+
+    const declared = Object.entries(options.tables || {}).map(([name, ref]) => {
+        const range = parseCellRange(ref);
+        if (!range?.sheet || !range.r1) throw new Error(`Invalid table range "${ref}" for "${name}" (expected e.g. Results!A3 or Results!A3:F20)`);
+        const table = root.appendChild(doc.createElement('table'));
+        table.setAttribute('name', name);
+        table.setAttribute('sheet', range.sheet);
+        return { table, range, headerRows: 1, totalsRows: 0, names: null };
+    });
+    const excelTables = children('table').filter(t => !declared.some(d => d.table === t)).map(table => ({
+        table,
+        range: parseCellRange(table.getAttribute('ref')),
+        headerRows: Number(table.getAttribute('headerRowCount') ?? 1),
+        totalsRows: Number(table.getAttribute('totalsRowCount') ?? 0),
+        names: Array.from(table.children, el => el.getAttribute('name')),
+    }));
+
+    for (const { table, range, headerRows, totalsRows, names } of [...excelTables, ...declared]) {
+        const cells = grid(table.getAttribute('sheet'));
+        const headerRow = range.r1 + headerRows - 1;
+        let lastCol = range.c2;
+        if (!lastCol) {
+            for (lastCol = range.c1; text(cells, headerRow, lastCol + 1) !== ''; lastCol++);
+        }
+        const columns = [];
+        for (let c = range.c1; c <= lastCol; c++) {
+            const header = names?.[c - range.c1] ?? (headerRows > 0 ? text(cells, headerRow, c) : '');
+            columns.push({ col: c, name: encodeName(header || `column${c - range.c1 + 1}`) });
+        }
+        const isEmpty = (r) => columns.every(({ col }) => text(cells, r, col) === '');
+        const open = range.r2 == null || range.r2 === Infinity; // ends at the first empty row
+        const lastRow = open ? Infinity : range.r2 - totalsRows;
+        for (let r = headerRow + 1; r <= lastRow && !(open && isEmpty(r)); r++) {
+            const entry = table.appendChild(doc.createElement('entry'));
+            entry.setAttribute('r', String(r));
+            for (const { col, name } of columns) {
+                const cell = entry.appendChild(doc.createElement(name));
+                cell.setAttribute('col', String(col));
+                cell.textContent = text(cells, r, col);
+            }
+        }
+    }
+}
+
+/**
+ * "Sheet!A1", "'My sheet'!$A$1:$C$9", "A3", "B:B" → { sheet, r1, c1, r2, c2 }
+ * (r2/c2 undefined for a single start cell; whole columns have r1 = 1 and
+ * r2 = Infinity), or null if this is no cell reference.
+ */
+function parseCellRange(ref) {
+    const m = String(ref).trim().match(/^(?:(?:'((?:[^']|'')+)'|([^'!:]+))!)?\$?([A-Za-z]{1,3})\$?(\d*)(?::\$?([A-Za-z]{1,3})\$?(\d*))?$/);
+    if (!m) return null;
+    const sheet = m[1] != null ? m[1].replace(/''/g, "'") : m[2];
+    const [c1, r1, c2, r2] = [m[3], m[4], m[5], m[6]];
+    if (!r1 && !(c2 && !r2)) return null; // "B" alone is no reference
+    if (!r1) return { sheet, r1: 1, c1: columnNumber(c1), r2: Infinity, c2: columnNumber(c2) };
+    if (!c2) return { sheet, r1: Number(r1), c1: columnNumber(c1) };
+    if (!r2) return null;
+    return {
+        sheet,
+        r1: Math.min(r1, r2), r2: Math.max(r1, r2),
+        c1: Math.min(columnNumber(c1), columnNumber(c2)), c2: Math.max(columnNumber(c1), columnNumber(c2)),
+    };
+}
+
+function sheetPrefix(name) {
+    return (/^[A-Za-z_][\w.]*$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`) + '!';
+}
+
+function xpathLiteral(value) {
+    if (!value.includes("'")) return `'${value}'`;
+    if (!value.includes('"')) return `"${value}"`;
+    return `concat('${value.split("'").join(`', "'", '`)}')`;
+}
+
+/**
+ * XLSX path → XPath. Cell references are absolute; column names (like CSV
+ * columns) are looked up in the current table row, or in all table rows when
+ * the context is the document.
+ */
+function xlsxPathToXPath(path) {
+    const trimmed = path.trim();
+    const fail = (reason) => {
+        throw new Error(`Invalid XLSX path "${path}": ${reason}`);
+    };
+    const columnStep = (step) => {
+        let m;
+        if ((m = step.match(/^#(\d+)$/))) return `*[${m[1]}]`;
+        if ((m = step.match(/^#([A-Za-z]{1,3})$/))) return `*[@col = ${columnNumber(m[1])}]`;
+        if (!step) return fail('empty column name');
+        return encodeName(step);
+    };
+
+    let m;
+    if ((m = trimmed.match(/^name:(.+)$/))) {
+        return `/workbook/definedName[@name = ${xpathLiteral(m[1].trim())}]/c`;
+    }
+    if ((m = trimmed.match(/^table:([^/[]+)(?:\[(\d+)\])?(?:\/(.*))?$/))) {
+        const rows = `/workbook/table[@name = ${xpathLiteral(m[1].trim())}]/entry${m[2] ? `[${m[2]}]` : ''}`;
+        return m[3] != null ? `${rows}/${columnStep(m[3].trim())}` : rows;
+    }
+    if (trimmed.includes('!')) {
+        const range = parseCellRange(trimmed);
+        if (!range?.sheet) return fail('expected a cell or range like Admin!B2 or Results!B4:B20');
+        const sheet = `/workbook/sheet[@name = ${xpathLiteral(range.sheet)}]`;
+        if (range.r2 == null) return `${sheet}/row[@r = ${range.r1}]/c[@col = ${range.c1}]`;
+        const rows = range.r2 === Infinity ? '' : `[@r >= ${range.r1} and @r <= ${range.r2}]`;
+        const cols = range.c1 === range.c2 ? `[@col = ${range.c1}]` : `[@col >= ${range.c1} and @col <= ${range.c2}]`;
+        return `${sheet}/row${rows}/c${cols}`;
+    }
+    if (trimmed.includes('/')) return fail('use table:Name/column for a column of another table');
+    return `descendant-or-self::entry/${columnStep(trimmed)}`;
+}
@@ -0,0 +1,95 @@
+/**
+ * Text Transform - String pipeline applied to source text before type conversion.
+ *
+ * A rule's `transform` is a list of steps run in order; a step that yields
+ * null (e.g. a regex that does not match) ends the chain with null.
+ *
+ * Steps:
+ *   "trim" | "upper" | "lower"
+ *   { regex: "SN\\s*(\\d+)", group: 1, flags: "i" }   — capture group (default 1, or 0 without groups)
+ *   { replace: "\\s+", with: " ", flags: "g" }         — regex replace (flags default "g")
+ *   { substring: [start, end] }                          — slice; negative positions count from the end
+ *   { pad: 6, char: "0", side: "start" }                 — pad to length (defaults "0", "start")
+ *   { split: "/", index: 1 }                             — split on a literal separator, pick one part
+ *                                                          (trimmed; negative index counts from the end)
+ *
+ * Example: "PT100 / SN 12345" with [{ split: "/", index: -1 }, { regex: "\\d+" }] → "12345".
+ */
+
+const SIMPLE_STEPS = {
+    trim: (text) => text.trim(),
+    upper: (text) => text.toUpperCase(),
+    lower: (text) => text.toLowerCase(),
+};
+
+const STEP_KEYS = ['regex', 'replace', 'substring', 'pad', 'split'];
+
+const regexCache = new Map();
+
+/**
+ * Run a transform chain.
+ * @param {string|number|null} value - Source text
+ * @param {Array<string|object>} steps
+ * @returns {string|null}
+ * @throws {Error} for unknown steps or invalid regular expressions
+ */
+export function applyTransforms(value, steps) {
+    if (value == null || !steps || steps.length === 0) return value;
+
+    let text = String(value);
+    for (const step of steps) {
+        text = applyStep(text, step);
+        if (text == null) return null;
+    }
+    return text;
+}
+
+// ============================================================
+// Internal
+// ============================================================
+
+function applyStep(text, step) {
+    if (typeof step === 'string') {
+        const fn = SIMPLE_STEPS[step];
+        if (!fn) throw new Error(`Unknown transform step "${step}"`);
+        return fn(text);
+    }
+
+    const kind = STEP_KEYS.find(key => step && step[key] !== undefined);
+    switch (kind) {
+        case 'regex': {
+            const match = text.match(toRegExp(step.regex, (step.flags || '').replace('g', '')));
+            if (!match) return null;
+            const group = step.group ?? (match.length > 1 ? 1 : 0);
+            return match[group] ?? null;
+        }
+        case 'replace':
+            return text.replace(toRegExp(step.replace, step.flags ?? 'g'), step.with ?? '');
+        case 'substring': {
+            const [start, end] = [].concat(step.substring);
+            return text.slice(start, end);
+        }
+        case 'pad': {
+            const char = step.char ?? '0';
+            return step.side === 'end' ? text.padEnd(step.pad, char) : text.padStart(step.pad, char);
+        }
+        case 'split': {
+            const parts = text.split(step.split);
+            const index = step.index ?? 0;
+            const part = parts[index < 0 ? parts.length + index : index];
+            return part == null ? null : part.trim();
+        }
+    }
+    throw new Error(`Unknown transform step ${JSON.stringify(step)}`);
+}
+
+function toRegExp(pattern, flags) {
+    const key = `${flags}/${pattern}`;
+    let regex = regexCache.get(key);
+    if (!regex) {
+        regex = new RegExp(pattern, flags);
+        regexCache.set(key, regex);
+    }
+    regex.lastIndex = 0;
+    return regex;
+}
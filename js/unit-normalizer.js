@@ -0,0 +1,208 @@
+/**
+ * Unit Normalizer - Converts vendor unit spellings into D-SI unit strings.
+ *
+ * D-SI (Digital System of Units) expects units such as "\kelvin", "\milli\volt"
+ * or "\metre\tothe{3}\hour\tothe{-1}" in <si:unit>. Source data usually carries
+ * "K", "mV" or "m³/h" instead. Resolution order:
+ *   1. values that already are D-SI strings (start with "\") pass through
+ *   2. profile aliases (profile.unitAliases), exact then case-insensitive
+ *   3. built-in aliases for common vendor spellings ("°C", "%RH", "barg", ...)
+ *   4. composition from SI prefixes, unit symbols, exponents and "/"
+ * Anything else is reported as unknown and returned unchanged.
+ */
+
+const PREFIXES = {
+    Y: '\\yotta', Z: '\\zetta', E: '\\exa', P: '\\peta', T: '\\tera', G: '\\giga',
+    M: '\\mega', k: '\\kilo', h: '\\hecto', da: '\\deca', d: '\\deci', c: '\\centi',
+    m: '\\milli', 'µ': '\\micro', 'μ': '\\micro', u: '\\micro', n: '\\nano',
+    p: '\\pico', f: '\\femto', a: '\\atto', z: '\\zepto', y: '\\yocto',
+};
+
+// symbol → [D-SI unit, prefixable]
+const SYMBOLS = {
+    m: ['\\metre', true],
+    g: ['\\gram', true],
+    s: ['\\second', true],
+    A: ['\\ampere', true],
+    K: ['\\kelvin', true],
+    mol: ['\\mole', true],
+    cd: ['\\candela', true],
+    Hz: ['\\hertz', true],
+    N: ['\\newton', true],
+    Pa: ['\\pascal', true],
+    J: ['\\joule', true],
+    W: ['\\watt', true],
+    C: ['\\coulomb', true],
+    V: ['\\volt', true],
+    F: ['\\farad', true],
+    'Ω': ['\\ohm', true],
+    Ohm: ['\\ohm', true],
+    ohm: ['\\ohm', true],
+    S: ['\\siemens', true],
+    Wb: ['\\weber', true],
+    T: ['\\tesla', true],
+    H: ['\\henry', true],
+    lm: ['\\lumen', true],
+    lx: ['\\lux', true],
+    Bq: ['\\becquerel', true],
+    Gy: ['\\gray', true],
+    Sv: ['\\sievert', true],
+    kat: ['\\katal', true],
+    l: ['\\litre', true],
+    L: ['\\litre', true],
+    // Not prefixable: "ft", "pt" or "at" would read as femto-, pico- and atto-tonne
+    t: ['\\tonne', false],
+    bar: ['\\bar', true],
+    eV: ['\\electronvolt', true],
+    rad: ['\\radian', true],
+    sr: ['\\steradian', true],
+    '°C': ['\\degreecelsius', false],
+    '℃': ['\\degreecelsius', false],
+    '°': ['\\degree', false],
+    min: ['\\minute', false],
+    h: ['\\hour', false],
+    d: ['\\day', false],
+    '%': ['\\percent', false],
+    ppm: ['\\ppm', false],
+};
+
+/**
+ * Built-in aliases for spellings that cannot be composed from symbols.
+ * Profiles extend or override these via `profile.unitAliases`.
+ */
+export const DEFAULT_UNIT_ALIASES = {
+    'degC': '\\degreecelsius',
+    'deg C': '\\degreecelsius',
+    'Grad C': '\\degreecelsius',
+    '°c': '\\degreecelsius',
+    '%RH': '\\percent',
+    '% RH': '\\percent',
+    '%rH': '\\percent',
+    '% rH': '\\percent',
+    '%rF': '\\percent',
+    '% rF': '\\percent',
+    '%r.F.': '\\percent',
+    '% r.F.': '\\percent',
+    'RH': '\\percent',
+    'rH': '\\percent',
+    'sec': '\\second',
+    'Sek': '\\second',
+    'ltr': '\\litre',
+    'lpm': '\\litre\\minute\\tothe{-1}',
+    'Nm': '\\newton\\metre',
+    'kWh': '\\kilo\\watt\\hour',
+    'Ohms': '\\ohm',
+    'one': '\\one',
+    '1': '\\one',
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' };
+
+/**
+ * Normalize a unit string to D-SI.
+ * @param {string} raw - Unit as found in the source (e.g. "mV", "°C", "m³/h")
+ * @param {object} [aliases] - Additional alias table (vendor spelling → D-SI)
+ * @returns {{unit: string|null, known: boolean}} D-SI unit (or the trimmed input if unknown)
+ */
+export function normalizeUnit(raw, aliases = {}) {
+    if (raw == null) return { unit: null, known: false };
+    const str = String(raw).trim().replace(/\s+/g, ' ');
+    if (!str) return { unit: null, known: false };
+
+    // Already D-SI
+    if (str.startsWith('\\')) return { unit: str, known: true };
+
+    const custom = findAlias(aliases, str);
+    if (custom) return { unit: custom, known: true };
+
+    const resolved = resolveBuiltin(str);
+    if (resolved) return { unit: resolved, known: true };
+
+    // Strip electrical and pressure qualifiers: "V DC", "bar(g)", "mbar abs"
+    const stripped = str
+        .replace(/\s*\(?(?:AC|DC)\)?$/, '')
+        .replace(/^(.*bar)\s*\(?(?:g|a|ü|abs|rel|gauge)\)?$/i, '$1');
+    if (stripped !== str && stripped) {
+        const qualified = findAlias(aliases, stripped) || resolveBuiltin(stripped);
+        if (qualified) return { unit: qualified, known: true };
+    }
+
+    return { unit: str, known: false };
+}
+
+// ============================================================
+// Internal
+// ============================================================
+
+function findAlias(table, str) {
+    if (!table) return null;
+    if (table[str]) return table[str];
+    const lower = str.toLowerCase();
+    for (const [key, value] of Object.entries(table)) {
+        if (key.toLowerCase() === lower) return value;
+    }
+    return null;
+}
+
+function resolveBuiltin(str) {
+    return DEFAULT_UNIT_ALIASES[str] || composeUnit(str);
+}
+
+/**
+ * Compose a D-SI string from "factor factor / factor" notation.
+ * Factors are separated by space, "·", "*" or "⋅"; "/" starts the denominator.
+ */
+function composeUnit(str) {
+    const [numerator, ...denominators] = str.split('/');
+    const parts = [];
+
+    const numFactors = splitFactors(numerator);
+    // "1/min" → only a denominator
+    if (!(numFactors.length === 1 && numFactors[0] === '1')) {
+        for (const factor of numFactors) {
+            const dsi = composeFactor(factor, 1);
+            if (!dsi) return null;
+            parts.push(dsi);
+        }
+    }
+
+    for (const den of denominators) {
+        const denFactors = splitFactors(den);
+        if (denFactors.length === 0) return null;
+        for (const factor of denFactors) {
+            const dsi = composeFactor(factor, -1);
+            if (!dsi) return null;
+            parts.push(dsi);
+        }
+    }
+
+    return parts.length > 0 ? parts.join('') : null;
+}
+
+function splitFactors(str) {
+    return str.split(/[\s·*⋅]+/).filter(Boolean);
+}
+
+function composeFactor(factor, sign) {
+    const normalized = factor.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]/g, ch => SUPERSCRIPTS[ch]);
+    const match = normalized.match(/^(.+?)(?:\^?\{?(-?[1-9])\}?)?$/);
+    if (!match) return null;
+
+    const base = resolveSymbol(match[1]);
+    if (!base) return null;
+
+    const exponent = (match[2] ? parseInt(match[2], 10) : 1) * sign;
+    return exponent === 1 ? base : `${base}\\tothe{${exponent}}`;
+}
+
+function resolveSymbol(symbol) {
+    // Whole-symbol match first so "min", "cd" or "Pa" are not read as prefixed units
+    if (SYMBOLS[symbol]) return SYMBOLS[symbol][0];
+
+    for (const prefix of Object.keys(PREFIXES).sort((a, b) => b.length - a.length)) {
+        if (!symbol.startsWith(prefix)) continue;
+        const unit = SYMBOLS[symbol.substring(prefix.length)];
+        if (unit && unit[1]) return PREFIXES[prefix] + unit[0];
+    }
+    return null;
+}
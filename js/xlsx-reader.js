@@ -0,0 +1,289 @@
+/**
+ * XLSX Reader - Reads an Excel workbook in the browser, without any library.
+ *
+ * An .xlsx file is a ZIP archive of XML parts. The archive is unpacked with the
+ * browser's DecompressionStream, and the sheets, defined names and tables are
+ * flattened into one small XML document (see readXlsxWorkbook), which the
+ * "xlsx" source adapter reads like any other source (see source-adapters.js):
+ *
+ *   <workbook source="xlsx">
+ *     <sheet name="Admin"><row r="2"><c r="B2" col="2">TW-2024-0815</c></row></sheet>
+ *     <definedName name="CertNo" ref="Admin!$B$2"/>
+ *     <table name="Results" sheet="Results" ref="A3:F20" headerRowCount="1" totalsRowCount="0">
+ *       <column name="Set point"/> ...
+ *     </table>
+ *   </workbook>
+ *
+ * Cell values are what Excel displays, minus formatting: shared and inline
+ * strings, the cached result of formulas, booleans as "true"/"false", and
+ * numbers rounded to Excel's 15 significant digits. Numbers with a date format
+ * become ISO dates ("2024-08-09", or "2024-08-09T14:30:00" with a time part).
+ */
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Built-in number formats that display dates and times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+/**
+ * Read an .xlsx workbook.
+ * @param {ArrayBuffer|Blob} data - File content
+ * @returns {Promise<string>} Workbook XML for the "xlsx" source format
+ * @throws {Error} if the file is not an .xlsx workbook
+ */
+export async function readXlsxWorkbook(data) {
+    const buffer = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+    const entries = readZipDirectory(buffer);
+    if (!entries.has('xl/workbook.xml')) {
+        throw new Error('Not an Excel workbook (.xlsx): xl/workbook.xml is missing');
+    }
+    const part = async (name) => (entries.has(name) ? parseXml(await unzipEntry(buffer, entries.get(name)), name) : null);
+
+    const workbook = await part('xl/workbook.xml');
+    const workbookRels = relationships(await part('xl/_rels/workbook.xml.rels'), 'xl/');
+    const sharedStrings = readSharedStrings(await part('xl/sharedStrings.xml'));
+    const dateStyles = readDateStyles(await part('xl/styles.xml'));
+    const date1904 = ['1', 'true'].includes(elements(workbook, 'workbookPr')[0]?.getAttribute('date1904'));
+
+    const out = new DOMParser().parseFromString('<workbook source="xlsx"/>', 'text/xml');
+    const root = out.documentElement;
+
+    for (const sheet of elements(workbook, 'sheet')) {
+        const target = workbookRels.get(sheet.getAttributeNS(RELATIONSHIP_NS, 'id'));
+        const sheetXml = target && await part(target);
+        if (!sheetXml) continue; // chart sheets and missing parts
+        const name = sheet.getAttribute('name');
+        root.appendChild(convertSheet(out, sheetXml, name, sharedStrings, dateStyles, date1904));
+
+        const sheetRels = relationships(await part(relsPathOf(target)), target.replace(/[^/]*$/, ''));
+        for (const tablePart of elements(sheetXml, 'tablePart')) {
+            const tableTarget = sheetRels.get(tablePart.getAttributeNS(RELATIONSHIP_NS, 'id'));
+            const tableXml = tableTarget && await part(tableTarget);
+            if (tableXml) root.appendChild(convertTable(out, tableXml, name));
+        }
+    }
+
+    for (const definedName of elements(workbook, 'definedName')) {
+        if (definedName.getAttribute('name').startsWith('_xlnm.')) continue; // print areas etc.
+        const el = out.createElement('definedName');
+        el.setAttribute('name', definedName.getAttribute('name'));
+        el.setAttribute('ref', definedName.textContent.trim());
+        root.appendChild(el);
+    }
+
+    return new XMLSerializer().serializeToString(out);
+}
+
+/**
+ * Column letters → number ("A" → 1, "AB" → 28).
+ * @param {string} letters
+ * @returns {number}
+ */
+export function columnNumber(letters) {
+    let n = 0;
+    for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n;
+}
+
+/**
+ * Column number → letters (1 → "A", 28 → "AB").
+ * @param {number} n
+ * @returns {string}
+ */
+export function columnLetters(n) {
+    let letters = '';
+    for (; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    return letters;
+}
+
+// ============================================================
+// Internal: Workbook parts
+// ============================================================
+
+function parseXml(text, name) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.querySelector('parsererror')) throw new Error(`Broken workbook part ${name}`);
+    return doc;
+}
+
+function elements(doc, localName) {
+    return Array.from(doc.getElementsByTagNameNS(SPREADSHEET_NS, localName));
+}
+
+/**
+ * Relationship id → part path, resolved against the directory of the source part.
+ */
+function relationships(relsDoc, baseDir) {
+    const map = new Map();
+    if (!relsDoc) return map;
+    for (const rel of Array.from(relsDoc.getElementsByTagName('Relationship'))) {
+        const target = rel.getAttribute('Target');
+        map.set(rel.getAttribute('Id'), target.startsWith('/') ? target.substring(1) : normalizePath(baseDir + target));
+    }
+    return map;
+}
+
+function relsPathOf(partPath) {
+    const slash = partPath.lastIndexOf('/');
+    return `${partPath.substring(0, slash + 1)}_rels/${partPath.substring(slash + 1)}.rels`;
+}
+
+function normalizePath(path) {
+    const parts = [];
+    for (const part of path.split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+function readSharedStrings(doc) {
+    if (!doc) return [];
+    // Rich text runs (<r><t>) are concatenated; phonetic hints (<rPh>) skipped
+    return elements(doc, 'si').map(si => elements(si, 't')
+        .filter(t => t.parentNode.localName !== 'rPh')
+        .map(t => t.textContent).join(''));
+}
+
+/**
+ * Indices of cell styles (cellXfs) whose number format shows a date or time.
+ */
+function readDateStyles(doc) {
+    const styles = new Set();
+    if (!doc) return styles;
+    const customDateFormats = new Set(elements(doc, 'numFmt')
+        .filter(f => isDateFormatCode(f.getAttribute('formatCode') || ''))
+        .map(f => Number(f.getAttribute('numFmtId'))));
+    const cellXfs = elements(doc, 'cellXfs')[0];
+    if (!cellXfs) return styles;
+    Array.from(cellXfs.children).forEach((xf, i) => {
+        const id = Number(xf.getAttribute('numFmtId') || 0);
+        if (DATE_FORMAT_IDS.has(id) || customDateFormats.has(id)) styles.add(i);
+    });
+    return styles;
+}
+
+function isDateFormatCode(code) {
+    // Ignore quoted text, escaped characters and [colour]/[condition] sections
+    const bare = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+    return /[dy]/i.test(bare) || /h.*s/i.test(bare);
+}
+
+function convertSheet(out, sheetXml, name, sharedStrings, dateStyles, date1904) {
+    const sheet = out.createElement('sheet');
+    sheet.setAttribute('name', name);
+    let rowNumber = 0;
+    for (const row of elements(sheetXml, 'row')) {
+        // r is optional: rows and cells then follow their predecessor
+        rowNumber = Number(row.getAttribute('r')) || rowNumber + 1;
+        const rowEl = out.createElement('row');
+        rowEl.setAttribute('r', String(rowNumber));
+        let col = 0;
+        for (const cell of elements(row, 'c')) {
+            const ref = cell.getAttribute('r');
+            col = ref ? columnNumber(ref.match(/^[A-Z]+/)[0]) : col + 1;
+            const value = cellValue(cell, sharedStrings, dateStyles, date1904);
+            if (value == null || value === '') continue;
+            const c = out.createElement('c');
+            c.setAttribute('r', ref || `${columnLetters(col)}${rowNumber}`);
+            c.setAttribute('col', String(col));
+            c.textContent = value;
+            rowEl.appendChild(c);
+        }
+        if (rowEl.firstChild) sheet.appendChild(rowEl);
+    }
+    return sheet;
+}
+
+function cellValue(cell, sharedStrings, dateStyles, date1904) {
+    const type = cell.getAttribute('t') || 'n';
+    const v = elements(cell, 'v')[0]?.textContent;
+    switch (type) {
+        case 's': return v == null ? null : sharedStrings[Number(v)] ?? null;
+        case 'inlineStr': return elements(cell, 't').map(t => t.textContent).join('');
+        case 'b': return v == null ? null : (v === '1' ? 'true' : 'false');
+        case 'str': case 'e': case 'd': return v ?? null;
+    }
+    if (v == null || v === '') return null;
+    const number = Number(v);
+    if (Number.isNaN(number)) return v;
+    if (dateStyles.has(Number(cell.getAttribute('s') || 0))) return excelSerialToIso(number, date1904);
+    return String(Number(number.toPrecision(15)));
+}
+
+/**
+ * Excel serial day number → ISO date, with the time when it has one.
+ * Serial 1 is 1900-01-01 (1904-01-02 in the 1904 date system); Excel's
+ * phantom 1900-02-29 (serial 60) is skipped.
+ */
+function excelSerialToIso(serial, date1904) {
+    const days = date1904 ? serial + 1462 : serial < 60 ? serial + 1 : serial;
+    const ms = Math.round((days - 25569) * 86400) * 1000; // 25569: days from 1899-12-30 to 1970-01-01
+    const iso = new Date(ms).toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso.substring(0, 19);
+}
+
+function convertTable(out, tableXml, sheetName) {
+    const source = tableXml.documentElement;
+    const table = out.createElement('table');
+    table.setAttribute('name', source.getAttribute('displayName') || source.getAttribute('name'));
+    table.setAttribute('sheet', sheetName);
+    table.setAttribute('ref', source.getAttribute('ref'));
+    table.setAttribute('headerRowCount', source.getAttribute('headerRowCount') ?? '1');
+    table.setAttribute('totalsRowCount', source.getAttribute('totalsRowCount') ?? '0');
+    for (const column of elements(tableXml, 'tableColumn')) {
+        const el = out.createElement('column');
+        el.setAttribute('name', column.getAttribute('name'));
+        table.appendChild(el);
+    }
+    return table;
+}
+
+// ============================================================
+// Internal: ZIP archive
+// ============================================================
+
+/**
+ * Entries of a ZIP archive from its central directory: name → { offset, method, size }.
+ */
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not an Excel workbook (.xlsx): no ZIP directory found');
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Broken ZIP directory');
+        const method = view.getUint16(pos + 10, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const offset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+        entries.set(name, { offset, method, size });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+async function unzipEntry(buffer, { offset, method, size }) {
+    const view = new DataView(buffer);
+    // The local header's name and extra lengths may differ from the central directory's
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const data = new Uint8Array(buffer, start, size);
+    if (method === 0) return new TextDecoder().decode(data);
+    if (method !== 8) throw new Error(`Unsupported ZIP compression method ${method}`);
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
@@ -0,0 +1,620 @@
+/**
+ * XML DOM - XML parser and document tree for the Web Worker, which has no DOMParser.
+ *
+ * XmlDomParser.parseFromString builds a tree with the part of the DOM that the
+ * mapping engine and the source adapters use: elements with namespaces and
+ * attributes, text, CDATA sections, comments and processing instructions;
+ * children, textContent, getAttribute/setAttribute, appendChild, cloneNode,
+ * getElementsByTagName, compareDocumentPosition, and createExpression/evaluate
+ * (see xpath-evaluator.js). Like the browser's parser it does not throw on
+ * malformed input, but returns a document whose root is a <parsererror> element.
+ *
+ * Document type declarations are skipped; only the predefined entities and
+ * character references are expanded.
+ */
+
+import { createExpression } from './xpath-evaluator.js';
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Drop-in for the browser's DOMParser (XML only; the MIME type is ignored).
+ */
+export class XmlDomParser {
+    /**
+     * @param {string} text
+     * @returns {XmlDocument}
+     */
+    parseFromString(text) {
+        const doc = new XmlDocument();
+        try {
+            new XmlReader(String(text), doc).read();
+        } catch (e) {
+            if (!(e instanceof XmlSyntaxError)) throw e;
+            const errorDoc = new XmlDocument();
+            errorDoc.appendChild(errorDoc.createElement('parsererror')).textContent = e.message;
+            return errorDoc;
+        }
+        return doc;
+    }
+}
+
+// ============================================================
+// Nodes
+// ============================================================
+
+// Position of a node among its parent's childNodes (or its element's attributes)
+const POSITION = Symbol('position');
+
+export class XmlNode {
+    static ELEMENT_NODE = 1;
+    static ATTRIBUTE_NODE = 2;
+    static TEXT_NODE = 3;
+    static CDATA_SECTION_NODE = 4;
+    static PROCESSING_INSTRUCTION_NODE = 7;
+    static COMMENT_NODE = 8;
+    static DOCUMENT_NODE = 9;
+
+    static DOCUMENT_POSITION_DISCONNECTED = 1;
+    static DOCUMENT_POSITION_PRECEDING = 2;
+    static DOCUMENT_POSITION_FOLLOWING = 4;
+    static DOCUMENT_POSITION_CONTAINS = 8;
+    static DOCUMENT_POSITION_CONTAINED_BY = 16;
+    static DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC = 32;
+
+    constructor(nodeType, nodeName, ownerDocument) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+        this[POSITION] = 0;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] ?? null;
+    }
+
+    get lastChild() {
+        return this.childNodes.at(-1) ?? null;
+    }
+
+    get previousSibling() {
+        return this.parentNode?.childNodes[this[POSITION] - 1] ?? null;
+    }
+
+    get nextSibling() {
+        return this.parentNode?.childNodes[this[POSITION] + 1] ?? null;
+    }
+
+    get nodeValue() {
+        return null;
+    }
+
+    get textContent() {
+        let text = '';
+        for (const child of this.childNodes) {
+            if (child.nodeType !== XmlNode.COMMENT_NODE && child.nodeType !== XmlNode.PROCESSING_INSTRUCTION_NODE) {
+                text += child.textContent;
+            }
+        }
+        return text;
+    }
+
+    set textContent(value) {
+        for (const child of this.childNodes) child.parentNode = null;
+        this.childNodes = [];
+        if (value != null && value !== '') this.appendChild(this.ownerDocument.createTextNode(String(value)));
+    }
+
+    hasChildNodes() {
+        return this.childNodes.length > 0;
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    insertBefore(node, reference) {
+        if (reference && reference.parentNode !== this) throw new Error('The reference node is not a child of this node');
+        node.parentNode?.removeChild(node);
+        const index = reference ? reference[POSITION] : this.childNodes.length;
+        this.childNodes.splice(index, 0, node);
+        node.parentNode = this;
+        renumber(this.childNodes, index);
+        return node;
+    }
+
+    removeChild(node) {
+        if (node.parentNode !== this) throw new Error('The node is not a child of this node');
+        const index = node[POSITION];
+        this.childNodes.splice(index, 1);
+        node.parentNode = null;
+        renumber(this.childNodes, index);
+        return node;
+    }
+
+    cloneNode(deep = false) {
+        const copy = this.copy();
+        if (deep) {
+            for (const child of this.childNodes) copy.appendChild(child.cloneNode(true));
+        }
+        return copy;
+    }
+
+    /**
+     * Position of `other` relative to this node (DOCUMENT_POSITION_* flags).
+     * Attributes come after their element and before its children.
+     */
+    compareDocumentPosition(other) {
+        if (other === this) return 0;
+        const mine = ancestry(this);
+        const theirs = ancestry(other);
+        if (mine[0] !== theirs[0]) {
+            return XmlNode.DOCUMENT_POSITION_DISCONNECTED | XmlNode.DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC
+                | XmlNode.DOCUMENT_POSITION_FOLLOWING;
+        }
+        let depth = 0;
+        while (depth < mine.length && depth < theirs.length && mine[depth] === theirs[depth]) depth++;
+        if (depth === mine.length) return XmlNode.DOCUMENT_POSITION_CONTAINED_BY | XmlNode.DOCUMENT_POSITION_FOLLOWING;
+        if (depth === theirs.length) return XmlNode.DOCUMENT_POSITION_CONTAINS | XmlNode.DOCUMENT_POSITION_PRECEDING;
+
+        const [a, b] = [mine[depth], theirs[depth]];
+        const aIsAttribute = a.nodeType === XmlNode.ATTRIBUTE_NODE;
+        const before = aIsAttribute === (b.nodeType === XmlNode.ATTRIBUTE_NODE)
+            ? a[POSITION] < b[POSITION]
+            : aIsAttribute;
+        return before ? XmlNode.DOCUMENT_POSITION_FOLLOWING : XmlNode.DOCUMENT_POSITION_PRECEDING;
+    }
+}
+
+export class XmlDocument extends XmlNode {
+    constructor() {
+        super(XmlNode.DOCUMENT_NODE, '#document', null);
+    }
+
+    get documentElement() {
+        return this.childNodes.find(n => n.nodeType === XmlNode.ELEMENT_NODE) ?? null;
+    }
+
+    get textContent() {
+        return null;
+    }
+
+    set textContent(value) {
+        // no effect on documents, as in the DOM
+    }
+
+    createElement(name) {
+        return new XmlElement(this, null, name);
+    }
+
+    createElementNS(namespaceURI, qualifiedName) {
+        return new XmlElement(this, namespaceURI, qualifiedName);
+    }
+
+    createTextNode(data) {
+        return new XmlCharacterData(this, XmlNode.TEXT_NODE, '#text', data);
+    }
+
+    createCDATASection(data) {
+        return new XmlCharacterData(this, XmlNode.CDATA_SECTION_NODE, '#cdata-section', data);
+    }
+
+    createComment(data) {
+        return new XmlCharacterData(this, XmlNode.COMMENT_NODE, '#comment', data);
+    }
+
+    createProcessingInstruction(target, data) {
+        return new XmlCharacterData(this, XmlNode.PROCESSING_INSTRUCTION_NODE, target, data);
+    }
+
+    getElementsByTagName(name) {
+        const root = this.documentElement;
+        if (!root) return [];
+        return [...(name === '*' || root.nodeName === name ? [root] : []), ...root.getElementsByTagName(name)];
+    }
+
+    /**
+     * First element with the given tag name; only type selectors such as
+     * "parsererror" are supported.
+     */
+    querySelector(selector) {
+        return this.getElementsByTagName(selector)[0] ?? null;
+    }
+
+    createExpression(xpath, resolver = null) {
+        return createExpression(xpath, resolver);
+    }
+
+    evaluate(xpath, contextNode, resolver = null, type = 0) {
+        return createExpression(xpath, resolver).evaluate(contextNode, type);
+    }
+
+    copy() {
+        return new XmlDocument();
+    }
+}
+
+export class XmlElement extends XmlNode {
+    constructor(ownerDocument, namespaceURI, qualifiedName) {
+        super(XmlNode.ELEMENT_NODE, qualifiedName, ownerDocument);
+        Object.assign(this, splitName(qualifiedName));
+        this.namespaceURI = namespaceURI || null;
+        this.attributes = [];
+    }
+
+    get tagName() {
+        return this.nodeName;
+    }
+
+    get children() {
+        return this.childNodes.filter(n => n.nodeType === XmlNode.ELEMENT_NODE);
+    }
+
+    getAttributeNode(name) {
+        return this.attributes.find(a => a.name === name) ?? null;
+    }
+
+    getAttribute(name) {
+        return this.getAttributeNode(name)?.value ?? null;
+    }
+
+    getAttributeNS(namespaceURI, localName) {
+        const attr = this.attributes.find(a => a.namespaceURI === (namespaceURI || null) && a.localName === localName);
+        return attr?.value ?? null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttributeNode(name) !== null;
+    }
+
+    setAttribute(name, value) {
+        const existing = this.getAttributeNode(name);
+        if (existing) existing.value = String(value);
+        else this.setAttributeNode(new XmlAttr(this.ownerDocument, isNamespaceDeclaration(name) ? XMLNS_NAMESPACE : null, name, String(value)));
+    }
+
+    setAttributeNS(namespaceURI, qualifiedName, value) {
+        const existing = this.getAttributeNode(qualifiedName);
+        if (existing) existing.value = String(value);
+        else this.setAttributeNode(new XmlAttr(this.ownerDocument, namespaceURI, qualifiedName, String(value)));
+    }
+
+    setAttributeNode(attr) {
+        attr.ownerElement = this;
+        attr[POSITION] = this.attributes.length;
+        this.attributes.push(attr);
+        return attr;
+    }
+
+    removeAttribute(name) {
+        const attr = this.getAttributeNode(name);
+        if (!attr) return;
+        const index = attr[POSITION];
+        this.attributes.splice(index, 1);
+        attr.ownerElement = null;
+        renumber(this.attributes, index);
+    }
+
+    getElementsByTagName(name) {
+        const found = [];
+        const visit = (el) => {
+            for (const child of el.childNodes) {
+                if (child.nodeType !== XmlNode.ELEMENT_NODE) continue;
+                if (name === '*' || child.nodeName === name) found.push(child);
+                visit(child);
+            }
+        };
+        visit(this);
+        return found;
+    }
+
+    lookupNamespaceURI(prefix) {
+        for (let el = this; el?.nodeType === XmlNode.ELEMENT_NODE; el = el.parentNode) {
+            if (el.namespaceURI && el.prefix === (prefix || null)) return el.namespaceURI;
+            const declaration = el.getAttribute(prefix ? `xmlns:${prefix}` : 'xmlns');
+            if (declaration !== null) return declaration || null;
+        }
+        return null;
+    }
+
+    copy() {
+        const el = new XmlElement(this.ownerDocument, this.namespaceURI, this.nodeName);
+        for (const attr of this.attributes) el.setAttributeNode(attr.copy());
+        return el;
+    }
+}
+
+export class XmlAttr extends XmlNode {
+    constructor(ownerDocument, namespaceURI, qualifiedName, value) {
+        super(XmlNode.ATTRIBUTE_NODE, qualifiedName, ownerDocument);
+        Object.assign(this, splitName(qualifiedName));
+        this.name = qualifiedName;
+        this.namespaceURI = namespaceURI || null;
+        this.value = value;
+        this.ownerElement = null;
+    }
+
+    get nodeValue() {
+        return this.value;
+    }
+
+    get textContent() {
+        return this.value;
+    }
+
+    set textContent(value) {
+        this.value = String(value);
+    }
+
+    copy() {
+        return new XmlAttr(this.ownerDocument, this.namespaceURI, this.name, this.value);
+    }
+}
+
+/**
+ * Text, CDATA section, comment or processing instruction (whose target is its
+ * node name).
+ */
+export class XmlCharacterData extends XmlNode {
+    constructor(ownerDocument, nodeType, nodeName, data) {
+        super(nodeType, nodeName, ownerDocument);
+        this.data = String(data);
+    }
+
+    get target() {
+        return this.nodeType === XmlNode.PROCESSING_INSTRUCTION_NODE ? this.nodeName : undefined;
+    }
+
+    get nodeValue() {
+        return this.data;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+
+    copy() {
+        return new XmlCharacterData(this.ownerDocument, this.nodeType, this.nodeName, this.data);
+    }
+}
+
+function splitName(qualifiedName) {
+    const colon = qualifiedName.indexOf(':');
+    return colon > 0
+        ? { prefix: qualifiedName.substring(0, colon), localName: qualifiedName.substring(colon + 1) }
+        : { prefix: null, localName: qualifiedName };
+}
+
+function isNamespaceDeclaration(name) {
+    return name === 'xmlns' || name.startsWith('xmlns:');
+}
+
+function renumber(nodes, from) {
+    for (let i = from; i < nodes.length; i++) nodes[i][POSITION] = i;
+}
+
+// The node and its ancestors, root first; an attribute's parent is its element
+function ancestry(node) {
+    const chain = [];
+    for (let n = node; n; n = n.nodeType === XmlNode.ATTRIBUTE_NODE ? n.ownerElement : n.parentNode) chain.push(n);
+    return chain.reverse();
+}
+
+// ============================================================
+// Internal: Parser
+// ============================================================
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', apos: "'", quot: '"' };
+
+const NAME_PATTERN = /[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/y;
+
+class XmlSyntaxError extends Error {}
+
+class XmlReader {
+    constructor(text, doc) {
+        this.text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        this.doc = doc;
+        this.pos = 0;
+        // open elements with the namespace bindings in scope
+        this.open = [];
+        this.bindings = Object.assign(Object.create(null), { xml: XML_NAMESPACE, xmlns: XMLNS_NAMESPACE });
+    }
+
+    read() {
+        const { text } = this;
+        while (this.pos < text.length) {
+            const tag = text.indexOf('<', this.pos);
+            const end = tag < 0 ? text.length : tag;
+            if (end > this.pos) this.readText(end);
+            if (tag < 0) break;
+
+            if (text.startsWith('</', tag)) this.readEndTag();
+            else if (text.startsWith('<!--', tag)) this.readComment();
+            else if (text.startsWith('<![CDATA[', tag)) this.readCData();
+            else if (text.startsWith('<!DOCTYPE', tag)) this.skipDoctype();
+            else if (text.startsWith('<?', tag)) this.readProcessingInstruction();
+            else this.readStartTag();
+        }
+        if (this.open.length > 0) this.fail(`missing end tag </${this.open.at(-1).element.nodeName}>`);
+        if (!this.doc.documentElement) this.fail('no root element');
+    }
+
+    get parent() {
+        return this.open.at(-1)?.element ?? this.doc;
+    }
+
+    readText(end) {
+        const raw = this.text.substring(this.pos, end);
+        if (this.open.length === 0) {
+            if (/[^ \t\n]/.test(raw)) this.fail(this.doc.documentElement ? 'extra content at the end of the document' : 'start tag expected');
+        } else {
+            this.parent.appendChild(this.doc.createTextNode(this.decode(raw, this.pos)));
+        }
+        this.pos = end;
+    }
+
+    readStartTag() {
+        const { text } = this;
+        this.pos++;
+        const name = this.readName();
+        const attributes = [];
+        for (;;) {
+            const spaced = this.skipSpace();
+            if (text[this.pos] === '>' || text.startsWith('/>', this.pos)) break;
+            if (this.pos >= text.length) this.fail(`unterminated start tag <${name}>`);
+            if (!spaced) this.fail(`expected whitespace, ">" or "/>" in <${name}>`);
+
+            const attrName = this.readName();
+            this.skipSpace();
+            this.expect('=');
+            this.skipSpace();
+            const quote = text[this.pos];
+            if (quote !== '"' && quote !== "'") this.fail(`value of attribute "${attrName}" must be quoted`);
+            const close = text.indexOf(quote, this.pos + 1);
+            if (close < 0) this.fail(`unterminated value of attribute "${attrName}"`);
+            const raw = text.substring(this.pos + 1, close);
+            if (raw.includes('<')) this.fail(`"<" in the value of attribute "${attrName}"`);
+            if (attributes.some(([n]) => n === attrName)) this.fail(`duplicate attribute "${attrName}"`);
+            // literal whitespace is normalised, character references are not
+            attributes.push([attrName, this.decode(raw.replace(/[\t\n]/g, ' '), this.pos + 1)]);
+            this.pos = close + 1;
+        }
+        const selfClosing = text[this.pos] === '/';
+        this.pos += selfClosing ? 2 : 1;
+
+        const inherited = this.open.at(-1)?.bindings ?? this.bindings;
+        let bindings = inherited;
+        for (const [attrName, value] of attributes) {
+            if (!isNamespaceDeclaration(attrName)) continue;
+            if (bindings === inherited) bindings = Object.create(inherited);
+            const prefix = attrName === 'xmlns' ? '' : attrName.substring(6);
+            if (prefix && !value) this.fail(`namespace prefix "${prefix}" cannot be undeclared`);
+            bindings[prefix] = value || null;
+        }
+
+        if (this.open.length === 0 && this.doc.documentElement) this.fail('extra content at the end of the document');
+        const element = new XmlElement(this.doc, this.resolve(name, bindings, true), name);
+        for (const [attrName, value] of attributes) {
+            const namespace = isNamespaceDeclaration(attrName) ? XMLNS_NAMESPACE : this.resolve(attrName, bindings, false);
+            element.setAttributeNode(new XmlAttr(this.doc, namespace, attrName, value));
+        }
+        this.parent.appendChild(element);
+        if (!selfClosing) this.open.push({ element, bindings });
+    }
+
+    readEndTag() {
+        this.pos += 2;
+        const name = this.readName();
+        this.skipSpace();
+        this.expect('>');
+        const current = this.open.pop();
+        if (!current) this.fail(`unexpected end tag </${name}>`);
+        if (current.element.nodeName !== name) this.fail(`end tag </${name}> does not match <${current.element.nodeName}>`);
+    }
+
+    readComment() {
+        const end = this.text.indexOf('-->', this.pos + 4);
+        if (end < 0) this.fail('unterminated comment');
+        this.parent.appendChild(this.doc.createComment(this.text.substring(this.pos + 4, end)));
+        this.pos = end + 3;
+    }
+
+    readCData() {
+        if (this.open.length === 0) this.fail('CDATA section outside the root element');
+        const end = this.text.indexOf(']]>', this.pos + 9);
+        if (end < 0) this.fail('unterminated CDATA section');
+        this.parent.appendChild(this.doc.createCDATASection(this.text.substring(this.pos + 9, end)));
+        this.pos = end + 3;
+    }
+
+    readProcessingInstruction() {
+        const start = this.pos;
+        this.pos += 2;
+        const target = this.readName();
+        const end = this.text.indexOf('?>', this.pos);
+        if (end < 0) this.fail('unterminated processing instruction');
+        const data = this.text.substring(this.pos, end).replace(/^[ \t\n]+/, '');
+        this.pos = end + 2;
+        if (target.toLowerCase() === 'xml') {
+            if (start !== 0) this.fail('XML declaration allowed only at the start of the document', start);
+            return;
+        }
+        this.parent.appendChild(this.doc.createProcessingInstruction(target, data));
+    }
+
+    // The internal subset may contain quoted ">" and nested declarations
+    skipDoctype() {
+        if (this.open.length > 0 || this.doc.documentElement) this.fail('DOCTYPE after the root element');
+        const { text } = this;
+        let depth = 0;
+        for (let i = this.pos + 9; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '"' || ch === "'") {
+                i = text.indexOf(ch, i + 1);
+                if (i < 0) break;
+            } else if (ch === '[') depth++;
+            else if (ch === ']') depth--;
+            else if (ch === '>' && depth <= 0) {
+                this.pos = i + 1;
+                return;
+            }
+        }
+        this.fail('unterminated DOCTYPE');
+    }
+
+    readName() {
+        NAME_PATTERN.lastIndex = this.pos;
+        const match = NAME_PATTERN.exec(this.text);
+        if (!match) this.fail('expected a name');
+        this.pos = NAME_PATTERN.lastIndex;
+        return match[0];
+    }
+
+    skipSpace() {
+        const start = this.pos;
+        while (' \t\n'.includes(this.text[this.pos]) && this.pos < this.text.length) this.pos++;
+        return this.pos > start;
+    }
+
+    expect(ch) {
+        if (this.text[this.pos] !== ch) this.fail(`expected "${ch}"`);
+        this.pos++;
+    }
+
+    resolve(qualifiedName, bindings, useDefault) {
+        const { prefix } = splitName(qualifiedName);
+        if (prefix === null) return useDefault ? bindings[''] ?? null : null;
+        const namespace = bindings[prefix];
+        if (!namespace) this.fail(`namespace prefix "${prefix}" of "${qualifiedName}" is not defined`);
+        return namespace;
+    }
+
+    decode(raw, at) {
+        if (!raw.includes('&')) return raw;
+        return raw.replace(/&([^;&]*)(;?)/g, (match, ref, semicolon, offset) => {
+            if (!semicolon) this.fail('unterminated entity reference', at + offset);
+            const char = /^#(?:x([\dA-Fa-f]+)|(\d+))$/.exec(ref);
+            if (char) {
+                const code = char[1] ? parseInt(char[1], 16) : parseInt(char[2], 10);
+                if (code > 0x10FFFF || code === 0) this.fail(`invalid character reference "&${ref};"`, at + offset);
+                return String.fromCodePoint(code);
+            }
+            if (!Object.hasOwn(ENTITIES, ref)) this.fail(`undefined entity "&${ref};"`, at + offset);
+            return ENTITIES[ref];
+        });
+    }
+
+    fail(reason, at = this.pos) {
+        const before = this.text.substring(0, at);
+        const line = before.split('\n').length;
+        const column = at - before.lastIndexOf('\n');
+        throw new XmlSyntaxError(`error on line ${line} at column ${column}: ${reason}`);
+    }
+}
@@ -0,0 +1,799 @@
+/**
+ * XPath Evaluator - XPath 1.0 for the Web Worker, which has no document.evaluate.
+ *
+ * createExpression mirrors document.createExpression: the expression is parsed
+ * once (namespace prefixes are resolved at that point) and then evaluated
+ * against any context node, returning an XPathResult of the requested type.
+ * Documents built by xml-dom.js use it for their own createExpression.
+ *
+ * Supported: all axes except namespace::, abbreviations (., .., @, //), node
+ * tests, predicates, unions, the operators and the whole core function library.
+ * Variables are not (the DOM API has no way to bind them). Nodes are read
+ * through standard DOM properties only (nodeType, childNodes, parentNode,
+ * nextSibling, attributes, ownerElement, compareDocumentPosition).
+ */
+
+const ELEMENT_NODE = 1;
+const ATTRIBUTE_NODE = 2;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const PROCESSING_INSTRUCTION_NODE = 7;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+const DOCUMENT_POSITION_FOLLOWING = 4;
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Result of XPathExpression.evaluate, with the same type constants and
+ * accessors as the browser's XPathResult. Reading an accessor that does not
+ * belong to the result type throws a TypeError.
+ */
+export class XPathResult {
+    static ANY_TYPE = 0;
+    static NUMBER_TYPE = 1;
+    static STRING_TYPE = 2;
+    static BOOLEAN_TYPE = 3;
+    static UNORDERED_NODE_ITERATOR_TYPE = 4;
+    static ORDERED_NODE_ITERATOR_TYPE = 5;
+    static UNORDERED_NODE_SNAPSHOT_TYPE = 6;
+    static ORDERED_NODE_SNAPSHOT_TYPE = 7;
+    static ANY_UNORDERED_NODE_TYPE = 8;
+    static FIRST_ORDERED_NODE_TYPE = 9;
+
+    constructor(value, type) {
+        if (type === XPathResult.ANY_TYPE) {
+            type = Array.isArray(value) ? XPathResult.UNORDERED_NODE_ITERATOR_TYPE
+                : typeof value === 'number' ? XPathResult.NUMBER_TYPE
+                    : typeof value === 'string' ? XPathResult.STRING_TYPE
+                        : XPathResult.BOOLEAN_TYPE;
+        }
+        this.resultType = type;
+        this.index = 0;
+        switch (type) {
+            case XPathResult.NUMBER_TYPE: this.value = toNumber(value); break;
+            case XPathResult.STRING_TYPE: this.value = toString(value); break;
+            case XPathResult.BOOLEAN_TYPE: this.value = toBoolean(value); break;
+            default:
+                if (!(type >= XPathResult.UNORDERED_NODE_ITERATOR_TYPE && type <= XPathResult.FIRST_ORDERED_NODE_TYPE)) {
+                    throw new TypeError(`Unknown XPath result type ${type}`);
+                }
+                if (!Array.isArray(value)) throw new TypeError('The result of the expression is not a node-set');
+                this.value = value;
+        }
+    }
+
+    get numberValue() {
+        return this.read('numberValue', XPathResult.NUMBER_TYPE);
+    }
+
+    get stringValue() {
+        return this.read('stringValue', XPathResult.STRING_TYPE);
+    }
+
+    get booleanValue() {
+        return this.read('booleanValue', XPathResult.BOOLEAN_TYPE);
+    }
+
+    get singleNodeValue() {
+        return this.read('singleNodeValue', XPathResult.ANY_UNORDERED_NODE_TYPE, XPathResult.FIRST_ORDERED_NODE_TYPE)[0] ?? null;
+    }
+
+    get snapshotLength() {
+        return this.read('snapshotLength', XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE).length;
+    }
+
+    snapshotItem(index) {
+        return this.read('snapshotItem', XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE)[index] ?? null;
+    }
+
+    iterateNext() {
+        return this.read('iterateNext', XPathResult.UNORDERED_NODE_ITERATOR_TYPE, XPathResult.ORDERED_NODE_ITERATOR_TYPE)[this.index++] ?? null;
+    }
+
+    read(accessor, ...types) {
+        if (!types.includes(this.resultType)) throw new TypeError(`${accessor} is not available for XPath result type ${this.resultType}`);
+        return this.value;
+    }
+}
+
+/**
+ * Compile an XPath 1.0 expression.
+ * @param {string} xpath
+ * @param {{lookupNamespaceURI: function(string): string|null}|function(string): string|null} [resolver]
+ *        Resolves the namespace prefixes used in name tests
+ * @returns {{evaluate: function(Node, number=, *=): XPathResult}}
+ * @throws {Error} on syntax errors, unknown functions and unresolvable prefixes
+ */
+export function createExpression(xpath, resolver = null) {
+    const ast = new Parser(xpath, resolver).parse();
+    return {
+        evaluate(contextNode, type = XPathResult.ANY_TYPE) {
+            return new XPathResult(evaluate(ast, { node: contextNode, position: 1, size: 1 }), type);
+        },
+    };
+}
+
+// ============================================================
+// Internal: Parser
+// ============================================================
+
+const AXES = new Set([
+    'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self',
+    'following', 'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self',
+]);
+const REVERSE_AXES = new Set(['ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling']);
+const NODE_TYPES = new Set(['node', 'text', 'comment', 'processing-instruction']);
+
+const BINARY_PRECEDENCE = [
+    ['or'],
+    ['and'],
+    ['=', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', 'div', 'mod'],
+];
+const OPERATOR_NAMES = new Set(['and', 'or', 'div', 'mod']);
+
+// "//x" is short for "/descendant-or-self::node()/x"
+const ANY_DESCENDANT_STEP = { axis: 'descendant-or-self', test: { type: 'node' }, predicates: [] };
+
+const NAME_START = 'A-Za-z_\\u00C0-\\uFFFF';
+const NAME_CHAR = `${NAME_START}\\d.\\-\\u00B7`;
+const NCNAME = `[${NAME_START}][${NAME_CHAR}]*`;
+const TOKEN_PATTERN = new RegExp(
+    `\\s*(?:(\\d+(?:\\.\\d*)?|\\.\\d+)|("[^"]*"|'[^']*')|(\\$?(?:${NCNAME}:)?(?:\\*|${NCNAME}))`
+    + '|(//|::|\\.\\.|!=|<=|>=|[/()[\\]@,|.=<>+\\-*]))', 'y');
+
+class Parser {
+    constructor(source, resolver) {
+        this.source = String(source ?? '');
+        this.lookupNamespace = typeof resolver === 'function' ? resolver : resolver?.lookupNamespaceURI?.bind(resolver);
+        this.tokens = tokenize(this.source);
+        this.pos = 0;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) this.fail('empty expression');
+        const node = this.parseBinary(0);
+        if (this.pos < this.tokens.length) this.fail(`unexpected "${this.peek().value}"`);
+        return node;
+    }
+
+    parseBinary(level) {
+        if (level >= BINARY_PRECEDENCE.length) return this.parseUnary();
+        let left = this.parseBinary(level + 1);
+        while (this.peek()?.kind === 'op' && BINARY_PRECEDENCE[level].includes(this.peek().value)) {
+            const op = this.next().value;
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', op, children: [left, right] };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.accept('-')) return { type: 'negate', children: [this.parseUnary()] };
+        let left = this.parsePath();
+        while (this.accept('|')) {
+            left = { type: 'union', children: [left, this.parsePath()] };
+        }
+        return left;
+    }
+
+    parsePath() {
+        if (this.startsLocationPath()) return this.parseLocationPath();
+
+        const filter = this.parseFilter();
+        if (this.isOp('/') || this.isOp('//')) {
+            return { type: 'path', start: filter, steps: this.parseRelativePath() };
+        }
+        return filter;
+    }
+
+    startsLocationPath() {
+        const token = this.peek();
+        if (!token) return false;
+        if (token.kind === 'op') return ['/', '//', '.', '..', '@'].includes(token.value);
+        if (token.kind !== 'name' || token.value.startsWith('$')) return false;
+        // a name before "(" is a function call, unless it is a node type test
+        const following = this.tokens[this.pos + 1];
+        return !(following?.kind === 'op' && following.value === '(' && !NODE_TYPES.has(token.value));
+    }
+
+    parseLocationPath() {
+        if (this.accept('/')) {
+            const steps = this.startsStep() ? this.parseRelativePath(true) : [];
+            return { type: 'path', start: 'root', steps };
+        }
+        if (this.isOp('//')) return { type: 'path', start: 'root', steps: this.parseRelativePath() };
+        return { type: 'path', start: 'context', steps: this.parseRelativePath(true) };
+    }
+
+    startsStep() {
+        const token = this.peek();
+        return token?.kind === 'name' || (token?.kind === 'op' && ['.', '..', '@'].includes(token.value));
+    }
+
+    /**
+     * Steps separated by "/" or "//"; unless `leading` is set, the path starts
+     * with one of the two separators.
+     */
+    parseRelativePath(leading = false) {
+        const steps = [];
+        if (leading) steps.push(this.parseStep());
+        while (this.isOp('/') || this.isOp('//')) {
+            if (this.next().value === '//') steps.push(ANY_DESCENDANT_STEP);
+            steps.push(this.parseStep());
+        }
+        return steps;
+    }
+
+    parseStep() {
+        if (this.accept('.')) return { axis: 'self', test: { type: 'node' }, predicates: [] };
+        if (this.accept('..')) return { axis: 'parent', test: { type: 'node' }, predicates: [] };
+
+        let axis = 'child';
+        if (this.accept('@')) {
+            axis = 'attribute';
+        } else if (this.peek()?.kind === 'name' && this.tokens[this.pos + 1]?.value === '::') {
+            axis = this.next().value;
+            if (!AXES.has(axis)) this.fail(`unknown axis "${axis}"`);
+            this.next();
+        }
+        const test = this.parseNodeTest();
+        return { axis, test, predicates: this.parsePredicates() };
+    }
+
+    parseNodeTest() {
+        const token = this.next();
+        if (token?.kind !== 'name' || token.value.startsWith('$')) this.fail(`expected a node test, found "${token?.value ?? 'end of expression'}"`);
+
+        if (NODE_TYPES.has(token.value) && this.accept('(')) {
+            let target = null;
+            if (token.value === 'processing-instruction' && this.peek()?.kind === 'str') target = unquote(this.next().value);
+            this.expect(')');
+            return { type: token.value, target };
+        }
+        if (token.value === '*') return { type: 'name', any: true };
+
+        const colon = token.value.indexOf(':');
+        if (colon < 0) return { type: 'name', namespace: null, localName: token.value };
+        const namespace = this.resolvePrefix(token.value.substring(0, colon));
+        const localName = token.value.substring(colon + 1);
+        return { type: 'name', namespace, localName: localName === '*' ? null : localName };
+    }
+
+    parsePredicates() {
+        const predicates = [];
+        while (this.accept('[')) {
+            predicates.push(this.parseBinary(0));
+            this.expect(']');
+        }
+        return predicates;
+    }
+
+    parseFilter() {
+        const primary = this.parsePrimary();
+        const predicates = this.parsePredicates();
+        return predicates.length > 0 ? { type: 'filter', children: [primary], predicates } : primary;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) this.fail('unexpected end of expression');
+
+        switch (token.kind) {
+            case 'num': return { type: 'lit', value: Number(token.value) };
+            case 'str': return { type: 'lit', value: unquote(token.value) };
+            case 'name':
+                if (token.value.startsWith('$')) this.fail(`variables are not supported ("${token.value}")`);
+                if (this.accept('(')) return this.parseCall(token.value);
+                break;
+            case 'op':
+                if (token.value === '(') {
+                    const node = this.parseBinary(0);
+                    this.expect(')');
+                    return node;
+                }
+        }
+        this.fail(`unexpected "${token.value}"`);
+    }
+
+    parseCall(name) {
+        if (!Object.hasOwn(FUNCTIONS, name)) this.fail(`unknown function "${name}"`);
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.parseBinary(0));
+            } while (this.accept(','));
+            this.expect(')');
+        }
+        const { min, max } = FUNCTIONS[name];
+        if (args.length < min || args.length > max) {
+            const count = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            this.fail(`${name}() takes ${count} argument${count === 1 ? '' : 's'}`);
+        }
+        return { type: 'call', name, children: args };
+    }
+
+    resolvePrefix(prefix) {
+        if (prefix === 'xml') return XML_NAMESPACE;
+        const namespace = this.lookupNamespace?.(prefix);
+        if (!namespace) this.fail(`unresolvable namespace prefix "${prefix}"`);
+        return namespace;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    isOp(op) {
+        const token = this.peek();
+        return token?.kind === 'op' && token.value === op;
+    }
+
+    accept(op) {
+        if (!this.isOp(op)) return false;
+        this.pos++;
+        return true;
+    }
+
+    expect(op) {
+        if (!this.accept(op)) this.fail(`expected "${op}"`);
+    }
+
+    fail(reason) {
+        throw new Error(`Invalid XPath "${this.source}": ${reason}`);
+    }
+}
+
+/**
+ * Split into tokens. "*" and the names and, or, div and mod are operators only
+ * after an operand (XPath 1.0, section 3.7), so "div/mod" is a path.
+ */
+function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        if (/^\s*$/.test(source.substring(index))) break;
+        TOKEN_PATTERN.lastIndex = index;
+        const m = TOKEN_PATTERN.exec(source);
+        if (!m) {
+            const rest = source.substring(index).trim();
+            throw new Error(`Invalid XPath "${source}": unexpected character "${rest[0]}"`);
+        }
+        index = TOKEN_PATTERN.lastIndex;
+
+        const previous = tokens.at(-1);
+        const afterOperand = previous && (previous.kind !== 'op' || [')', ']', '.', '..'].includes(previous.value));
+        if (m[1] != null) tokens.push({ kind: 'num', value: m[1] });
+        else if (m[2] != null) tokens.push({ kind: 'str', value: m[2] });
+        else if (m[3] != null) {
+            const isOperator = afterOperand && (m[3] === '*' || OPERATOR_NAMES.has(m[3]));
+            tokens.push({ kind: isOperator ? 'op' : 'name', value: m[3] });
+        } else {
+            tokens.push({ kind: m[4] === '*' && !afterOperand ? 'name' : 'op', value: m[4] });
+        }
+    }
+    return tokens;
+}
+
+function unquote(str) {
+    return str.slice(1, -1);
+}
+
+// ============================================================
+// Internal: Evaluation
+// ============================================================
+
+/**
+ * Evaluate a syntax tree in a context { node, position, size }. Node-sets are
+ * arrays in document order without duplicates.
+ */
+function evaluate(node, ctx) {
+    switch (node.type) {
+        case 'lit':
+            return node.value;
+        case 'negate':
+            return -toNumber(evaluate(node.children[0], ctx));
+        case 'binary':
+            return evaluateBinary(node, ctx);
+        case 'union': {
+            const [left, right] = node.children.map(child => evaluate(child, ctx));
+            if (!Array.isArray(left) || !Array.isArray(right)) throw new TypeError('"|" needs node-sets on both sides');
+            return inDocumentOrder([...left, ...right]);
+        }
+        case 'path':
+            return evaluatePath(node, ctx);
+        case 'filter': {
+            let nodes = evaluate(node.children[0], ctx);
+            if (!Array.isArray(nodes)) throw new TypeError('Predicates can only filter node-sets');
+            for (const predicate of node.predicates) nodes = filterNodes(nodes, predicate);
+            return nodes;
+        }
+        case 'call': {
+            const args = node.children.map(child => evaluate(child, ctx));
+            return FUNCTIONS[node.name].fn(ctx, ...args);
+        }
+    }
+    throw new Error(`Invalid XPath node "${node.type}"`);
+}
+
+function evaluateBinary(node, ctx) {
+    const { op } = node;
+    const left = evaluate(node.children[0], ctx);
+    if (op === 'or') return toBoolean(left) || toBoolean(evaluate(node.children[1], ctx));
+    if (op === 'and') return toBoolean(left) && toBoolean(evaluate(node.children[1], ctx));
+
+    const right = evaluate(node.children[1], ctx);
+    switch (op) {
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case 'div': return toNumber(left) / toNumber(right);
+        case 'mod': return toNumber(left) % toNumber(right);
+    }
+    return compare(op, left, right);
+}
+
+/**
+ * Comparisons with node-sets are true if they hold for any node's string-value
+ * (XPath 1.0, section 3.4).
+ */
+function compare(op, left, right) {
+    const leftIsSet = Array.isArray(left);
+    const rightIsSet = Array.isArray(right);
+    if (leftIsSet && rightIsSet) {
+        const rightValues = right.map(stringValue);
+        return left.some(a => {
+            const value = stringValue(a);
+            return rightValues.some(b => compareValues(op, value, b));
+        });
+    }
+    if (leftIsSet || rightIsSet) {
+        const [nodes, other] = leftIsSet ? [left, right] : [right, left];
+        const ordered = (a, b) => (leftIsSet ? compareValues(op, a, b) : compareValues(op, b, a));
+        if (typeof other === 'boolean') return ordered(nodes.length > 0, other);
+        return nodes.some(n => ordered(typeof other === 'number' ? toNumber(stringValue(n)) : stringValue(n), other));
+    }
+    return compareValues(op, left, right);
+}
+
+// = and != compare as boolean, number or string (in that order); <, <=, >, >= as numbers
+function compareValues(op, a, b) {
+    if (op === '=' || op === '!=') {
+        let equal;
+        if (typeof a === 'boolean' || typeof b === 'boolean') equal = toBoolean(a) === toBoolean(b);
+        else if (typeof a === 'number' || typeof b === 'number') equal = toNumber(a) === toNumber(b);
+        else equal = a === b;
+        return op === '=' ? equal : !equal;
+    }
+    const x = toNumber(a);
+    const y = toNumber(b);
+    switch (op) {
+        case '<': return x < y;
+        case '<=': return x <= y;
+        case '>': return x > y;
+        case '>=': return x >= y;
+    }
+    throw new Error(`Unknown operator "${op}"`);
+}
+
+function evaluatePath(path, ctx) {
+    let nodes;
+    if (path.start === 'root') nodes = [rootOf(ctx.node)];
+    else if (path.start === 'context') nodes = [ctx.node];
+    else {
+        nodes = evaluate(path.start, ctx);
+        if (!Array.isArray(nodes)) throw new TypeError('"/" can only follow a node-set');
+    }
+    for (const step of path.steps) nodes = evaluateStep(step, nodes);
+    return nodes;
+}
+
+function evaluateStep(step, contexts) {
+    const results = [];
+    for (const context of contexts) {
+        let nodes = axisNodes(step.axis, context).filter(n => matchesTest(step.test, step.axis, n));
+        for (const predicate of step.predicates) nodes = filterNodes(nodes, predicate);
+        if (REVERSE_AXES.has(step.axis)) nodes.reverse();
+        for (const n of nodes) results.push(n);
+    }
+    // from a single context node the axis already yields document order
+    return contexts.length > 1 ? inDocumentOrder(results) : results;
+}
+
+/**
+ * Apply a predicate to nodes in axis order: a number selects by position,
+ * anything else is converted to a boolean.
+ */
+function filterNodes(nodes, predicate) {
+    const size = nodes.length;
+    return nodes.filter((node, i) => {
+        const value = evaluate(predicate, { node, position: i + 1, size });
+        return typeof value === 'number' ? value === i + 1 : toBoolean(value);
+    });
+}
+
+function inDocumentOrder(nodes) {
+    return Array.from(new Set(nodes))
+        .sort((a, b) => (a === b ? 0 : a.compareDocumentPosition(b) & DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+}
+
+// ============================================================
+// Internal: Axes and node tests
+// ============================================================
+
+/**
+ * Nodes on an axis, in axis order (reverse document order for reverse axes).
+ */
+function axisNodes(axis, node) {
+    const isAttribute = node.nodeType === ATTRIBUTE_NODE;
+    const result = [];
+    switch (axis) {
+        case 'self':
+            return [node];
+        case 'child':
+            return isAttribute ? [] : Array.from(node.childNodes);
+        case 'attribute':
+            return node.nodeType === ELEMENT_NODE ? Array.from(node.attributes).filter(a => !isNamespaceDeclaration(a)) : [];
+        case 'descendant-or-self':
+            result.push(node);
+            // falls through
+        case 'descendant':
+            if (!isAttribute) collectDescendants(node, result);
+            return result;
+        case 'ancestor-or-self':
+            result.push(node);
+            // falls through
+        case 'ancestor':
+            for (let n = parentOf(node); n; n = parentOf(n)) result.push(n);
+            return result;
+        case 'parent':
+            return parentOf(node) ? [parentOf(node)] : [];
+        case 'following-sibling':
+            if (!isAttribute) for (let n = node.nextSibling; n; n = n.nextSibling) result.push(n);
+            return result;
+        case 'preceding-sibling':
+            if (!isAttribute) for (let n = node.previousSibling; n; n = n.previousSibling) result.push(n);
+            return result;
+        case 'following': {
+            let start = node;
+            if (isAttribute) {
+                start = node.ownerElement;
+                if (!start) return result;
+                collectDescendants(start, result);
+            }
+            for (let n = start; n; n = n.parentNode) {
+                for (let sibling = n.nextSibling; sibling; sibling = sibling.nextSibling) {
+                    result.push(sibling);
+                    collectDescendants(sibling, result);
+                }
+            }
+            return result;
+        }
+        case 'preceding': {
+            for (let n = isAttribute ? node.ownerElement : node; n; n = n.parentNode) {
+                for (let sibling = n.previousSibling; sibling; sibling = sibling.previousSibling) {
+                    collectReversed(sibling, result);
+                }
+            }
+            return result;
+        }
+        case 'namespace':
+            // namespace nodes are not part of the DOM
+            return result;
+    }
+    throw new Error(`Unknown axis "${axis}"`);
+}
+
+function collectDescendants(node, result) {
+    for (const child of node.childNodes) {
+        result.push(child);
+        if (child.childNodes.length > 0) collectDescendants(child, result);
+    }
+}
+
+// A subtree in reverse document order
+function collectReversed(node, result) {
+    for (let i = node.childNodes.length - 1; i >= 0; i--) collectReversed(node.childNodes[i], result);
+    result.push(node);
+}
+
+function parentOf(node) {
+    return node.nodeType === ATTRIBUTE_NODE ? node.ownerElement : node.parentNode;
+}
+
+function rootOf(node) {
+    let root = node;
+    for (let n = parentOf(node); n; n = parentOf(n)) root = n;
+    return root;
+}
+
+function isNamespaceDeclaration(attr) {
+    return attr.namespaceURI === XMLNS_NAMESPACE || attr.name === 'xmlns' || attr.name.startsWith('xmlns:');
+}
+
+function matchesTest(test, axis, node) {
+    switch (test.type) {
+        case 'node':
+            return true;
+        case 'text':
+            return node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE;
+        case 'comment':
+            return node.nodeType === COMMENT_NODE;
+        case 'processing-instruction':
+            return node.nodeType === PROCESSING_INSTRUCTION_NODE && (test.target === null || node.target === test.target);
+        case 'name': {
+            // the principal node type of the attribute axis is attribute, of all others element
+            if (node.nodeType !== (axis === 'attribute' ? ATTRIBUTE_NODE : ELEMENT_NODE)) return false;
+            if (test.any) return true;
+            if (test.localName !== null && node.localName !== test.localName) return false;
+            return (node.namespaceURI || null) === test.namespace;
+        }
+    }
+    return false;
+}
+
+// ============================================================
+// Internal: Conversions
+// ============================================================
+
+function stringValue(node) {
+    switch (node.nodeType) {
+        case DOCUMENT_NODE: return node.documentElement?.textContent ?? '';
+        case ATTRIBUTE_NODE: return node.value;
+        default: return node.textContent ?? '';
+    }
+}
+
+function toString(value) {
+    if (Array.isArray(value)) return value.length > 0 ? stringValue(value[0]) : '';
+    if (typeof value === 'number') return numberToString(value);
+    return String(value);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const match = /^[ \t\r\n]*(-?(?:\d+(?:\.\d*)?|\.\d+))[ \t\r\n]*$/.exec(toString(value));
+    return match ? Number(match[1]) : NaN;
+}
+
+function toBoolean(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    if (typeof value === 'string') return value.length > 0;
+    return value;
+}
+
+/**
+ * XPath writes numbers without exponent: 1e21 → "1000000000000000000000".
+ */
+function numberToString(n) {
+    if (Number.isNaN(n)) return 'NaN';
+    if (!Number.isFinite(n)) return n > 0 ? 'Infinity' : '-Infinity';
+    const text = String(n);
+    const match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(text);
+    if (!match) return text;
+    const [, sign, lead, fraction = '', exponent] = match;
+    const digits = lead + fraction;
+    const e = Number(exponent);
+    return e > 0 ? sign + digits.padEnd(e + 1, '0') : `${sign}0.${'0'.repeat(-e - 1)}${digits}`;
+}
+
+// ============================================================
+// Internal: Core function library
+// ============================================================
+
+const FUNCTIONS = {
+    // Node-set functions
+    last: fn(0, 0, ctx => ctx.size),
+    position: fn(0, 0, ctx => ctx.position),
+    count: fn(1, 1, (ctx, nodes) => nodeSet(nodes, 'count').length),
+    id: fn(1, 1, (ctx, value) => elementsById(ctx.node, value)),
+    'local-name': fn(0, 1, (ctx, nodes) => nameOf(firstNode(ctx, nodes, 'local-name'), 'localName')),
+    'namespace-uri': fn(0, 1, (ctx, nodes) => {
+        const node = firstNode(ctx, nodes, 'namespace-uri');
+        return node?.nodeType === ELEMENT_NODE || node?.nodeType === ATTRIBUTE_NODE ? node.namespaceURI ?? '' : '';
+    }),
+    name: fn(0, 1, (ctx, nodes) => nameOf(firstNode(ctx, nodes, 'name'), 'nodeName')),
+
+    // String functions
+    string: fn(0, 1, (ctx, ...value) => toString(value.length > 0 ? value[0] : [ctx.node])),
+    concat: fn(2, Infinity, (ctx, ...values) => values.map(toString).join('')),
+    'starts-with': fn(2, 2, (ctx, a, b) => toString(a).startsWith(toString(b))),
+    contains: fn(2, 2, (ctx, a, b) => toString(a).includes(toString(b))),
+    'substring-before': fn(2, 2, (ctx, a, b) => {
+        const [text, search] = [toString(a), toString(b)];
+        const index = text.indexOf(search);
+        return index < 0 ? '' : text.substring(0, index);
+    }),
+    'substring-after': fn(2, 2, (ctx, a, b) => {
+        const [text, search] = [toString(a), toString(b)];
+        const index = text.indexOf(search);
+        return index < 0 ? '' : text.substring(index + search.length);
+    }),
+    substring: fn(2, 3, (ctx, value, start, ...length) => {
+        // characters at positions p with round(start) <= p < round(start) + round(length)
+        const chars = Array.from(toString(value));
+        const first = Math.round(toNumber(start));
+        const end = length.length > 0 ? first + Math.round(toNumber(length[0])) : Infinity;
+        return chars.filter((_, i) => i + 1 >= first && i + 1 < end).join('');
+    }),
+    'string-length': fn(0, 1, (ctx, ...value) => Array.from(toString(value.length > 0 ? value[0] : [ctx.node])).length),
+    'normalize-space': fn(0, 1, (ctx, ...value) =>
+        toString(value.length > 0 ? value[0] : [ctx.node]).replace(/[ \t\r\n]+/g, ' ').replace(/^ | $/g, '')),
+    translate: fn(3, 3, (ctx, value, from, to) => {
+        const [source, target] = [Array.from(toString(from)), Array.from(toString(to))];
+        return Array.from(toString(value)).map((ch) => {
+            const index = source.indexOf(ch);
+            return index < 0 ? ch : (target[index] ?? '');
+        }).join('');
+    }),
+
+    // Boolean functions
+    boolean: fn(1, 1, (ctx, value) => toBoolean(value)),
+    not: fn(1, 1, (ctx, value) => !toBoolean(value)),
+    true: fn(0, 0, () => true),
+    false: fn(0, 0, () => false),
+    lang: fn(1, 1, (ctx, value) => {
+        const wanted = toString(value).toLowerCase();
+        for (let n = ctx.node; n; n = parentOf(n)) {
+            const lang = n.nodeType === ELEMENT_NODE ? n.getAttribute('xml:lang') : null;
+            if (lang != null) {
+                const actual = lang.toLowerCase();
+                return actual === wanted || actual.startsWith(wanted + '-');
+            }
+        }
+        return false;
+    }),
+
+    // Number functions
+    number: fn(0, 1, (ctx, ...value) => toNumber(value.length > 0 ? value[0] : [ctx.node])),
+    sum: fn(1, 1, (ctx, nodes) => nodeSet(nodes, 'sum').reduce((total, n) => total + toNumber(stringValue(n)), 0)),
+    floor: fn(1, 1, (ctx, value) => Math.floor(toNumber(value))),
+    ceiling: fn(1, 1, (ctx, value) => Math.ceil(toNumber(value))),
+    // Math.round rounds halves towards positive infinity, as XPath requires
+    round: fn(1, 1, (ctx, value) => Math.round(toNumber(value))),
+};
+
+function fn(min, max, implementation) {
+    return { min, max, fn: implementation };
+}
+
+function nodeSet(value, name) {
+    if (!Array.isArray(value)) throw new TypeError(`${name}() expects a node-set`);
+    return value;
+}
+
+// The argument's first node in document order, or the context node without one
+function firstNode(ctx, nodes, name) {
+    return nodes === undefined ? ctx.node : nodeSet(nodes, name)[0];
+}
+
+function nameOf(node, property) {
+    if (!node) return '';
+    if (node.nodeType === ELEMENT_NODE || node.nodeType === ATTRIBUTE_NODE) return node[property];
+    if (node.nodeType === PROCESSING_INSTRUCTION_NODE) return node.target;
+    return '';
+}
+
+/**
+ * id(): without a DTD there are no ID-typed attributes, so, like the browsers
+ * for XML documents, this matches "xml:id" and "id" attributes.
+ */
+function elementsById(contextNode, value) {
+    const ids = new Set((Array.isArray(value) ? value.map(stringValue) : [toString(value)])
+        .flatMap(text => text.split(/[ \t\r\n]+/).filter(Boolean)));
+    const root = rootOf(contextNode);
+    const elements = [];
+    collectDescendants(root, elements);
+    return elements.filter(el => el.nodeType === ELEMENT_NODE
+        && (ids.has(el.getAttribute('xml:id')) || ids.has(el.getAttribute('id'))));
+}
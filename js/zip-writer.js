@@ -0,0 +1,115 @@
+/**
+ * ZIP Writer - Packs text files into an uncompressed ZIP archive in the browser.
+ *
+ * Entries are stored (no compression), which keeps the writer small and is fine
+ * for a handful of XML/JSON certificates. File names are UTF-8 encoded.
+ */
+
+const CRC_TABLE = buildCrcTable();
+
+/**
+ * Create a ZIP archive.
+ * @param {{name: string, content: string|Uint8Array}[]} files
+ * @param {Date} [date] - Modification time stored for all entries
+ * @returns {Blob} application/zip
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // local file header signature
+        local.setUint16(4, 20, true);          // version needed (2.0)
+        local.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+        local.setUint16(8, 0, true);           // method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);          // extra field length
+        localParts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // extra, comment, disk number, internal/external attributes: all zero
+        central.setUint32(42, offset, true);    // offset of local header
+        centralParts.push(central, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // end of central directory signature
+    end.setUint16(8, files.length, true);       // entries on this disk
+    end.setUint16(10, files.length, true);      // entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // offset of central directory
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * Make file names unique within an archive by appending "-2", "-3", ...
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function uniqueFileNames(names) {
+    const used = new Set();
+    return names.map(name => {
+        let candidate = name;
+        const dot = name.lastIndexOf('.');
+        const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+        for (let i = 2; used.has(candidate); i++) candidate = `${stem}-${i}${ext}`;
+        used.add(candidate);
+        return candidate;
+    });
+}
+
+// ============================================================
+// Internal
+// ============================================================
+
+function buildCrcTable() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+}
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}